@@ -6,23 +6,288 @@
  * @version 1.2.4
  * @description Stateless utility for populating and extracting values from HTML elements based on name (primary) or id (fallback).
  *
- * Supports TomSelect, Selectize, and Chosen.
+ * Supports TomSelect, Selectize, Chosen, AutoNumeric, Select2, Choices.js and flatpickr through adapters, add more with registerAdapter().
  */
 
 const FormPopulator = {
 
+    /**
+     * Snapshots taken by snapshot(), by container: {keys, values}
+     *
+     * @type {WeakMap<HTMLElement, {keys: (string[]|null), values: object}>}
+     * @private
+     */
+    _snapshots: new WeakMap(),
+
+    /**
+     * Errors shown by setErrors(), by container: {key, elements, companion, generated, wasHidden, errorClass, classAdded, classless}
+     *
+     * @type {WeakMap<HTMLElement, object[]>}
+     * @private
+     */
+    _errors: new WeakMap(),
+
+    /**
+     * Counter for ids of generated error elements
+     *
+     * @type {number}
+     * @private
+     */
+    _errorIdCounter: 0,
+
+    /**
+     * Last html written by _setHtml(), by element: {html, serialized} to skip identical re-renders
+     *
+     * @type {WeakMap<HTMLElement, {html: string, serialized: string}>}
+     * @private
+     */
+    _rendered: new WeakMap(),
+
+    /**
+     * Name/id indexes built by index(), by container
+     *
+     * @type {WeakMap<HTMLElement, object>}
+     * @private
+     */
+    _indexes: new WeakMap(),
+
+    /**
+     * Open shadow hosts found per search root while a lookup-heavy call runs (see _withShadowHosts()), null otherwise
+     *
+     * @type {Map<Node, HTMLElement[]>|null}
+     * @private
+     */
+    _shadowHosts: null,
+
+    /**
+     * Widget adapters, checked in order, first detect() match handles the element. See registerAdapter().
+     *
+     * @type {object[]}
+     * @private
+     */
+    _adapters: [
+        {
+            name: 'tomselect',
+            detect: element => !!element.tomselect,
+            set(element, value) {
+                element.tomselect.clear(true); // silent
+                element.tomselect.setValue(Array.isArray(value) ? value : [value], true); // silent
+                element.tomselect.sync();
+            },
+            clear(element) {
+                element.tomselect.clear(true); // silent
+                element.tomselect.sync();
+            },
+            notify(element) {
+                // As a non-silent setValue(): onChange callbacks, then input/change on the original select
+                element.tomselect.trigger('change', element.tomselect.getValue());
+            },
+            setOptions(element, options) {
+                // sync() in set() re-reads the original select, so its options must match too
+                FormPopulator._setNativeOptions(element, options);
+                FormPopulator._setWidgetOptions(element.tomselect, options);
+            },
+            addOption(element, option) {
+                FormPopulator._addWidgetOption(element.tomselect, option);
+            },
+            getOptions(element) {
+                return FormPopulator._getWidgetOptions(element.tomselect);
+            }
+        },
+        {
+            name: 'selectize',
+            detect: element => !!element.selectize,
+            set(element, value) {
+                element.selectize.clear(true); // silent
+                element.selectize.setValue(Array.isArray(value) ? value : [value], true); // silent
+            },
+            clear(element) {
+                element.selectize.clear(true); // silent
+            },
+            notify(element) {
+                // As a non-silent setValue(): onChange callbacks, then jQuery change on the original select
+                element.selectize.trigger('change', element.selectize.getValue());
+            },
+            setOptions(element, options) {
+                FormPopulator._setWidgetOptions(element.selectize, options);
+            },
+            addOption(element, option) {
+                FormPopulator._addWidgetOption(element.selectize, option);
+            },
+            getOptions(element) {
+                return FormPopulator._getWidgetOptions(element.selectize);
+            }
+        },
+        {
+            name: 'chosen',
+            detect: element => typeof window !== 'undefined' && !!window.jQuery && !!window.jQuery(element).data('chosen'),
+            set(element, value) {
+                window.jQuery(element).val(Array.isArray(value) ? value : [value]).trigger('chosen:updated');
+            },
+            clear(element) {
+                window.jQuery(element).val(null).trigger('chosen:updated');
+            },
+            setOptions(element, options) {
+                FormPopulator._setNativeOptions(element, options);
+                window.jQuery(element).trigger('chosen:updated');
+            },
+            addOption(element, option) {
+                FormPopulator._addNativeOption(element, option);
+                window.jQuery(element).trigger('chosen:updated');
+            }
+        },
+        {
+            name: 'select2',
+            detect: element => typeof window !== 'undefined' && !!window.jQuery && !!window.jQuery(element).data('select2'),
+            set(element, value) {
+                // change.select2 only refreshes Select2, other listeners are left alone
+                window.jQuery(element).val(Array.isArray(value) ? value : [value]).trigger('change.select2');
+            },
+            clear(element) {
+                window.jQuery(element).val(null).trigger('change.select2');
+            },
+            setOptions(element, options) {
+                // Select2 reads the native options when opened
+                FormPopulator._setNativeOptions(element, options);
+                window.jQuery(element).trigger('change.select2');
+            },
+            addOption(element, option) {
+                FormPopulator._addNativeOption(element, option);
+                window.jQuery(element).trigger('change.select2');
+            }
+        },
+        {
+            // Choices.js keeps no reference on the element: assign it, element.choices = new Choices(element)
+            name: 'choices',
+            detect: element => !!element.choices && typeof element.choices.setChoiceByValue === 'function',
+            set(element, value) {
+                element.choices.removeActiveItems();
+                element.choices.setChoiceByValue(Array.isArray(value) ? value.map(String) : String(value));
+            },
+            clear(element) {
+                element.choices.removeActiveItems();
+            },
+            get(element) {
+                const value = element.choices.getValue(true);
+                if(element.multiple || Array.isArray(value)) {
+                    return Array.isArray(value) ? value : (value === undefined ? [] : [value]);
+                }
+                return value === undefined ? '' : value;
+            },
+            setOptions(element, options) {
+                const selected = [].concat(element.choices.getValue(true) || []).map(String);
+                const choices = [];
+                const groups = new Map();
+                for(const option of options) {
+                    const choice = {value: option.value, label: option.label, disabled: option.disabled,
+                        selected: selected.includes(option.value)};
+                    if(option.group === null) {
+                        choices.push(choice);
+                    } else {
+                        if(!groups.has(option.group)) {
+                            groups.set(option.group, {label: option.group, id: groups.size + 1, choices: []});
+                            choices.push(groups.get(option.group));
+                        }
+                        groups.get(option.group).choices.push(choice);
+                    }
+                }
+                element.choices.removeActiveItems();
+                element.choices.setChoices(choices, 'value', 'label', true);
+            }
+        },
+        {
+            name: 'flatpickr',
+            detect: element => !!element._flatpickr,
+            set(element, value) {
+                element._flatpickr.setDate(value, false); // no onChange
+            },
+            clear(element) {
+                element._flatpickr.clear(false); // no onChange
+            }
+        },
+        {
+            name: 'autonumeric',
+            type: 'number',
+            detect: element => typeof AutoNumeric !== 'undefined' && element.tagName.toLowerCase() === 'input' &&
+                !!AutoNumeric.getAutoNumericElement(element),
+            set(element, value) {
+                // AutoNumeric expects number, string, or null
+                // It handles formatting, validation, and clearing internally
+                AutoNumeric.getAutoNumericElement(element).set(value);
+            },
+            clear(element) {
+                AutoNumeric.getAutoNumericElement(element).set(""); // proper clear
+            },
+            get(element) {
+                // Clean numeric string (or "" if empty)
+                const raw = AutoNumeric.getAutoNumericElement(element).getNumericString();
+                return raw === null ? "" : raw;
+            }
+        },
+        {
+            // Plain inputs shown in the element's locale (data-fp-locale, lang), read back canonical: '1234.56', '2024-05-01'
+            name: 'locale',
+            type: element => (element.hasAttribute('data-fp-number') ? 'number' : 'date'),
+            detect: element => element.tagName.toLowerCase() === 'input' && FormPopulator._checkType(element) === null &&
+                (element.hasAttribute('data-fp-number') || element.hasAttribute('data-fp-date')),
+            set(element, value) {
+                element.value = element.hasAttribute('data-fp-number') ?
+                    FormPopulator._formatLocaleNumber(value, element) : FormPopulator._formatLocaleDate(value, element);
+            },
+            clear(element) {
+                element.value = '';
+            },
+            get(element) {
+                if(element.value.trim() === '') {
+                    return '';
+                }
+                const parsed = element.hasAttribute('data-fp-number') ?
+                    FormPopulator._parseLocaleNumber(element.value, element) : FormPopulator._parseLocaleDate(element.value, element);
+                // Unparseable input stays as typed, for validation to see
+                return parsed === null ? element.value : parsed;
+            }
+        }
+    ],
+
     /**
      *  Writes data values or innerHtml into matching elements, by name then by id, inside container, optionally setting attributes
      *
+     *  Nested objects/arrays whose key has no element are walked and matched by bracket or dotted names:
+     *  { user: { address: { city } }, items: [{ sku }], tags: [] } → user[address][city], items[0][sku], tags[], user.address.city
+     *
+     *  Call as populate(container, data, options) or, legacy, populate(container, data, attributes, sanitizeHtml, options)
+     *
      * @param {HTMLElement} container
      * @param {object} data
-     * @param {object} attributes
+     * @param {object} attributes attributes to set per key, or the options object when it only holds option names
      * @param {boolean} sanitizeHtml sets content with true: textContent, false: innerHTML
+     * @param {object} options
+     * @param {object} options.attributes attributes to set per key (options signature)
+     * @param {boolean} options.sanitizeHtml default true (options signature)
+     * @param {string} options.onMissing key without element: 'warn' (default, console.warn), 'ignore' or 'throw'
+     * @param {function} options.onError (error, key) for errors populating a key, default console.error
+     * @param {boolean} options.dispatchEvents after populating, fire input and change on each control whose value changed
+     *  (plus TomSelect/Selectize 'change' callbacks), then 'fp:populated' on container with detail {data, changed}
+     * @param {boolean} options.snapshot after populating, take a snapshot() of every named control for dirty tracking
+     * @param {object} options.selectOptions option lists per key, written before values: {key: [{value, label, disabled, group}]},
+     *  see setSelectOptions()
+     * @param {boolean} options.createMissingOptions add an <option> (label = value) for select values matching none
+     * @param {boolean} options.indexed look elements up through index(container), built on first use and kept for later calls
+     * @param {object} options.mapping API keys to form fields: {apiKey: 'formName' | {name, toForm, fromForm, default}}, see getValues()
+     * @param {boolean|object} options.generateFields build controls for keys without element first, true or a schema,
+     *  see generateFields()
+     * @param {boolean} options.atomic all or nothing: when a key fails (report.errors, onMissing 'throw') every touched
+     *  element is reverted, report.rolledBack is true and no events are dispatched
+     * @returns {{populated: string[], missing: string[], skipped: {key: string, element: HTMLElement, reason: string}[], errors: {key: string, error: Error}[],
+     *  rolledBack: boolean, restore: function}} keys as resolved names, e.g. user[address][city];
+     *  restore() puts back what this call changed (values, checked, selected, widget values, content and attributes)
      *
      * @throws {Error} If container is not a valid DOM element
      * @throws {Error} If data is null or not an object
+     * @throws {Error} If onMissing is 'throw' and a key has no element (after rolling back in atomic mode), or onMissing is unknown
+     * @throws {Error} If the third argument mixes option names with other keys
      */
-    populate(container, data = {}, attributes = {}, sanitizeHtml = true) {
+    populate(container, data = {}, attributes = {}, sanitizeHtml = true, options = {}) {
         if(!container || !container.nodeType) {
             throw new Error('Container must be a valid DOM element');
         }
@@ -31,229 +296,3463 @@ const FormPopulator = {
             throw new Error('Data must be a non-null object');
         }
 
-        for(let key in data) {
-            if(data.hasOwnProperty(key)) {
+        if(arguments.length === 3 && this._isPopulateOptions(attributes)) {
+            options = attributes;
+            attributes = options.attributes || {};
+            sanitizeHtml = options.sanitizeHtml !== false;
+        }
+        const onMissing = options.onMissing || 'warn';
+        if(!['warn', 'ignore', 'throw'].includes(onMissing)) {
+            throw new Error(`Unknown onMissing '${onMissing}', expected 'warn', 'ignore' or 'throw'`);
+        }
+
+        if(options.indexed === true && !this._indexes.has(container)) {
+            this.index(container);
+        }
+        if(options.mapping) {
+            data = this._mapToForm(data, this._normalizeMapping(options.mapping));
+        }
+        const run = {
+            attributes,
+            sanitizeHtml,
+            onMissing,
+            onError: typeof options.onError === 'function' ? options.onError : null,
+            changed: options.dispatchEvents === true ? [] : null,
+            report: {populated: [], missing: [], skipped: [], errors: [], rolledBack: false, restore: null},
+            fatal: null,
+            bindings: this._collectBindings(container),
+            createMissingOptions: options.createMissingOptions === true,
+            journal: new Map()
+        };
+        run.report.restore = () => this._restoreJournal(run.journal, options.dispatchEvents === true);
+
+        if(options.generateFields) {
+            // Generated controls are journaled too, so rollback and restore() remove them
+            const target = this._generateTarget(container);
+            const existing = new Set(target.childNodes);
+            this.generateFields(container, data, options.generateFields === true ? null : options.generateFields);
+            for(const node of Array.from(target.childNodes)) {
+                if(!existing.has(node)) {
+                    run.journal.set(node, {generated: true});
+                }
+            }
+        }
+
+        try {
+            this._withShadowHosts(() => this._populateData(container, data, options.selectOptions || {}, run));
+        } catch(error) {
+            if(options.atomic === true) {
+                this._restoreJournal(run.journal, false);
+            }
+            throw error;
+        }
+        if(options.atomic === true && run.report.errors.length > 0) {
+            // Nothing was populated: no events, no snapshot
+            this._restoreJournal(run.journal, false);
+            run.report.rolledBack = true;
+            return run.report;
+        }
+
+        if(run.changed !== null) {
+            // Fired once everything is written so listeners see the whole populated form
+            for(const element of run.changed) {
+                this._dispatchChange(element);
+            }
+            container.dispatchEvent(new CustomEvent('fp:populated', {bubbles: true, detail: {data, changed: run.changed}}));
+        }
+
+        if(options.snapshot === true) {
+            this.snapshot(container);
+        }
+        return run.report;
+    },
+
+    /**
+     * Writes option lists, then data and data-fp-* bindings, for populate()
+     *
+     * @param {HTMLElement} container
+     * @param {object} data
+     * @param {object} selectOptions option lists per key
+     * @param {object} run - Per-call state, see populate()
+     * @private
+     *
+     * @throws {Error} If onMissing is 'throw' and a key has no element
+     */
+    _populateData(container, data, selectOptions, run) {
+        // Option lists first, so the values below can select among them
+        for(const key in selectOptions) {
+            if(selectOptions.hasOwnProperty(key)) {
                 try {
                     const elements = this._findElementsByNameOrId(container, key);
-                    if(elements.length === 0) {
-                        console.warn(`FormPopulator: No elements found for key '${key}' (tried name and id)`);
-                        continue;
+                    if(elements.length === 0 && !data.hasOwnProperty(key)) {
+                        this._handleMissing(key, run);
                     }
+                    for(const element of elements) {
+                        this._recordOptions(element, run);
+                        this.setSelectOptions(element, selectOptions[key]);
+                    }
+                } catch(error) {
+                    this._handleError(key, error, run);
+                }
+            }
+        }
 
-                    const value = data[key];
-                    const hasAttributes = attributes.hasOwnProperty(key);
-
-                    if(elements.length > 1 || (elements[0] && (elements[0].type === 'radio' || elements[0].type === 'checkbox'))) {
-                        const isRadio = elements[0].type === 'radio';
-                        const isCheckbox = elements[0]. type === 'checkbox';
-                        const keyAttrs = hasAttributes ? attributes[key] : null;
-
-                        if(isRadio) {
-                            if(value === null || value === undefined) {
-                                for(let i = 0; i < elements.length; i++) {
-                                    this._uncheckRadio(elements[i], keyAttrs);
-                                }
-                            } else {
-                                for(let i = 0; i < elements. length; i++) {
-                                    this._setRadioChecked(elements[i], value, keyAttrs);
-                                }
-                            }
-                        } else if(isCheckbox) {
-                            const valuesToCheck = Array.isArray(value) ? value : [value];
-                            for(let i = 0; i < elements.length; i++) {
-                                this._setCheckboxChecked(elements[i], valuesToCheck, keyAttrs);
-                            }
-                        } else {
-                            // Multiple non-checkbox/radio inputs (e.g., multiple text inputs with same name)
-                            const valuesToSet = Array.isArray(value) ? value : null;
-                            for(let i = 0; i < elements.length; i++) {
-                                this._populateIndexedElement(elements[i], valuesToSet, value, i, sanitizeHtml, keyAttrs);
-                            }
-                        }
+        for(let key in data) {
+            if(data.hasOwnProperty(key)) {
+                try {
+                    const elements = this._findElementsByNameOrId(container, key);
+                    if(elements.length > 0 && !this._isGroupWrapper(container, key, elements, data[key])) {
+                        this._populateResolved(key, elements, data[key], run);
+                    } else if(this._isNestable(data[key])) {
+                        this._populateNested(container, [key], data[key], run);
                     } else {
-                        const element = elements[0];
-                        this._populateElement(element, value, sanitizeHtml);
-                        if(hasAttributes) {
-                            this._setElementAttributes(element, attributes[key]);
-                        }
+                        this._handleMissing(key, run);
                     }
                 } catch(error) {
-                    console.error(`FormPopulator: Error populating '${key}':`, error);
+                    this._handleError(key, error, run);
                 }
             }
         }
+
+        this._applyBindings(data, run);
     },
+
     /**
-     * Unchecks radio button and optionally sets attributes
+     * Keeps element's state before its first write in this populate() call, for rollback and restore()
      *
-     * @param {HTMLElement} element - Radio input element
-     * @param {object|null} keyAttrs - Attributes to set, or null
+     * @param {HTMLElement} element
+     * @param {object|null} run - Per-call state, see populate()
      * @private
      */
-    _uncheckRadio(element, keyAttrs) {
-        element.checked = false;
-        if(keyAttrs) {
-            this._setElementAttributes(element, keyAttrs);
+    _record(element, run) {
+        if(run && run.journal && !run.journal.has(element)) {
+            run.journal.set(element, this._captureState(element));
         }
     },
 
     /**
-     * Sets radio button checked state based on value match
+     * Captures what populate() may change on element: attributes, children (the nodes themselves, so rows keep their
+     * live values, plus their html for changes deeper down), value/checked, selected options and widget value/options
      *
-     * @param {HTMLElement} element - Radio input element
-     * @param {*} targetValue - Value to match against
-     * @param {object|null} keyAttrs - Attributes to set, or null
+     * @param {HTMLElement} element
+     * @returns {object}
      * @private
      */
-    _setRadioChecked(element, targetValue, keyAttrs) {
-        // INTENTIONAL: Loose equality (==) required.
-        // DOM values are always strings; Data values may be numbers/booleans.
-        // Strict equality (===) would break standard form coercion logic. Do not change.
-        element.checked = element.value == targetValue;
-        if(keyAttrs) {
-            this._setElementAttributes(element, keyAttrs);
+    _captureState(element) {
+        const tagName = element.tagName.toLowerCase();
+        const state = {
+            attributes: Array.from(element.attributes, attribute => [attribute.name, attribute.value]),
+            childNodes: Array.from(element.childNodes),
+            html: element.innerHTML,
+            value: undefined,
+            checked: undefined,
+            selected: null,
+            adapter: this._findAdapter(element),
+            adapterValue: undefined,
+            options: null
+        };
+        if(tagName === 'select') {
+            state.selected = Array.from(element.options).filter(option => option.selected).map(option => option.value);
+        } else if(tagName === 'input' || tagName === 'textarea' || this._isFormAssociated(element)) {
+            if(this._checkType(element) !== null) {
+                state.checked = element.checked;
+            } else if(element.type !== 'file') {
+                state.value = element.value;
+            }
         }
+        if(state.adapter) {
+            state.adapterValue = this._extractElementValue(element);
+        }
+        return state;
     },
 
     /**
-     * Sets checkbox checked state based on value array match
+     * Records a select about to get new options (selectOptions, createMissingOptions), keeping its widget's option list
+     * so restore() can put it back. Widget options are left alone by restore() unless recorded here.
      *
-     * @param {HTMLElement} element - Checkbox input element
-     * @param {Array} valuesToCheck - Array of values to check against
-     * @param {object|null} keyAttrs - Attributes to set, or null
+     * @param {HTMLSelectElement} select
+     * @param {object} run - Per-call state, see populate()
      * @private
      */
-    _setCheckboxChecked(element, valuesToCheck, keyAttrs) {
-        // Use for loop instead of . some() to avoid closure
-        let isChecked = false;
-        for(let i = 0; i < valuesToCheck.length; i++) {
-            if(valuesToCheck[i] == element. value) {
-                isChecked = true;
-                break;
+    _recordOptions(select, run) {
+        this._record(select, run);
+        const state = run.journal.get(select);
+        if(state.options !== null || !state.adapter || !state.adapter.setOptions) {
+            return;
+        }
+        state.options = state.adapter.getOptions ? state.adapter.getOptions(select) : Array.from(select.options, option => ({
+            value: option.value,
+            label: option.textContent,
+            disabled: option.disabled,
+            group: option.parentElement && option.parentElement.tagName.toLowerCase() === 'optgroup' ? option.parentElement.label : null
+        }));
+    },
+
+    /**
+     * Puts recorded elements back to their captured state, last recorded first
+     *
+     * @param {Map<Node, object>} journal element → state, see _captureState(), or {generated: true} for nodes to remove
+     * @param {boolean} dispatchEvents fire input/change on the controls whose value changed back
+     * @private
+     */
+    _restoreJournal(journal, dispatchEvents) {
+        const changed = [];
+        for(const [element, state] of Array.from(journal).reverse()) {
+            if(state.generated) {
+                element.remove(); // added by generateFields, after its controls were restored
+                continue;
+            }
+            const before = dispatchEvents ? this._readState(element) : null;
+            this._restoreState(element, state);
+            if(before !== null && before !== this._readState(element)) {
+                changed.push(element);
             }
         }
-        element.checked = isChecked;
-        if(keyAttrs) {
-            this._setElementAttributes(element, keyAttrs);
+        for(const element of changed) {
+            this._dispatchChange(element);
         }
     },
 
     /**
-     * Populates element with indexed or fallback value and optional attributes
+     * Restores one element's captured state, see _captureState()
      *
-     * @param {HTMLElement} element - Element to populate
-     * @param {Array|null} valuesToSet - Array of values indexed by position, or null
-     * @param {*} fallbackValue - Value to use if valuesToSet is null
-     * @param {number} index - Index for valuesToSet array
-     * @param {boolean} sanitizeHtml - Whether to sanitize HTML content
-     * @param {object|null} keyAttrs - Attributes to set, or null
+     * @param {HTMLElement} element
+     * @param {object} state
      * @private
      */
-    _populateIndexedElement(element, valuesToSet, fallbackValue, index, sanitizeHtml, keyAttrs) {
-        const v = valuesToSet ?  (valuesToSet[index] ??  '') : fallbackValue;
-        this._populateElement(element, v, sanitizeHtml);
-        if(keyAttrs) {
-            this._setElementAttributes(element, keyAttrs);
+    _restoreState(element, state) {
+        const names = state.attributes.map(([name]) => name);
+        for(const attribute of Array.from(element.attributes)) {
+            if(!names.includes(attribute.name)) {
+                element.removeAttribute(attribute.name);
+            }
+        }
+        for(const [name, value] of state.attributes) {
+            if(element.getAttribute(name) !== value) {
+                element.setAttribute(name, value);
+            }
+        }
+
+        const childNodes = element.childNodes;
+        if(childNodes.length !== state.childNodes.length || state.childNodes.some((node, i) => childNodes[i] !== node)) {
+            element.replaceChildren(...state.childNodes);
+        }
+        if(element.innerHTML !== state.html) {
+            element.innerHTML = state.html;
+        }
+
+        if(state.selected !== null) {
+            for(const option of element.options) {
+                option.selected = state.selected.includes(option.value);
+            }
+        }
+        if(state.checked !== undefined) {
+            element.checked = state.checked;
+        }
+        if(state.value !== undefined && element.value !== state.value) {
+            element.value = state.value;
+        }
+        if(state.adapter) {
+            if(state.options !== null) {
+                state.adapter.setOptions(element, state.options);
+            }
+            this._populateWithAdapter(state.adapter, element, state.adapterValue);
         }
     },
+
     /**
-     * Reads values from elements matching keys, by name then by id, inside container
+     * Populates an HTML string and returns the resulting HTML, for server-side rendering (emails, pages) in Node with an
+     * injected DOM such as jsdom or linkedom, or in the browser without touching the live page. Uses the same rules as
+     * populate(), then bakes the state into attributes: value, checked, selected, and textarea content.
+     * A full document (<html>...) keeps its doctype, a fragment is returned as a fragment.
      *
-     * @param {HTMLElement} container
-     * @param {array} keys
-     * @returns {{}} keyed by key in keys with the value or content, an array if multiple name
+     * @param {string} html
+     * @param {object} data
+     * @param {object} options populate() options (dispatchEvents and snapshot do not apply), plus:
+     * @param {Document} options.document document to parse with, e.g. new JSDOM().window.document or
+     *  linkedom's parseHTML('<html></html>').document; default the global document
+     * @returns {string} html
      *
-     * @throws {Error} If container is not a valid DOM element
-     * @throws {Error} If data is null or not an object
+     * @throws {Error} If html is not a string
+     * @throws {Error} If no document is given and there is no global document
      */
-    getValues(container, keys = []) {
-
-        if(!container || !container.nodeType) {
-            throw new Error('Container must be a valid DOM element');
+    populateHtml(html, data = {}, options = {}) {
+        if(typeof html !== 'string') {
+            throw new Error('Html must be a string');
         }
-        if(!Array.isArray(keys)) {
-            throw new Error('Keys must be an array');
+        const ownerDocument = options.document || (typeof document !== 'undefined' ? document : null);
+        if(!ownerDocument || typeof ownerDocument.createElement !== 'function') {
+            throw new Error('populateHtml() needs options.document where there is no global document');
         }
+        const populateOptions = Object.assign({}, options, {dispatchEvents: false, snapshot: false});
+        delete populateOptions.document;
+        delete populateOptions.attributes;
+        delete populateOptions.sanitizeHtml;
 
-        const values = {};
+        const doctype = html.match(/^\s*<!doctype[^>]*>/i);
+        if(doctype || /^\s*<html[\s>]/i.test(html)) {
+            const page = ownerDocument.implementation.createHTMLDocument('');
+            page.documentElement.innerHTML = html.slice(doctype ? doctype[0].length : 0).replace(/^\s*<html[^>]*>|<\/html>\s*$/gi, '');
+            const htmlTag = html.match(/<html([^>]*)>/i);
+            if(htmlTag) {
+                // Keep lang, dir... of the original <html>
+                const source = ownerDocument.createElement('template');
+                source.innerHTML = `<div${htmlTag[1]}></div>`;
+                for(const attribute of Array.from(source.content.firstElementChild.attributes)) {
+                    page.documentElement.setAttribute(attribute.name, attribute.value);
+                }
+            }
+            this.populate(page.documentElement, data, options.attributes || {}, options.sanitizeHtml !== false, populateOptions);
+            this._bakeState(page.documentElement);
+            return (doctype ? doctype[0].trim() + '\n' : '') + page.documentElement.outerHTML;
+        }
 
-        for(const key of keys) {
-            if(typeof key !== 'string') {
-                console.error(`FormPopulator: Invalid key type '${typeof key}', skipping`, key);
-                continue;
+        const container = ownerDocument.createElement('div');
+        // Parsed through a template: table rows and other context-dependent fragments survive, scripts do not run
+        const template = ownerDocument.createElement('template');
+        template.innerHTML = html;
+        container.appendChild(template.content);
+        this.populate(container, data, options.attributes || {}, options.sanitizeHtml !== false, populateOptions);
+        this._bakeState(container);
+        return container.innerHTML;
+    },
+
+    /**
+     * Writes the live state of form controls into their attributes/content so it survives serialization (outerHTML)
+     *
+     * @param {HTMLElement} root
+     * @private
+     */
+    _bakeState(root) {
+        for(const element of this._queryAll(root, 'input, textarea, option')) {
+            const tagName = element.tagName.toLowerCase();
+            if(tagName === 'option') {
+                element.toggleAttribute('selected', element.selected);
+            } else if(tagName === 'textarea') {
+                element.textContent = element.value;
+            } else if(element.type === 'checkbox' || element.type === 'radio') {
+                element.toggleAttribute('checked', element.checked);
+            } else if(element.type !== 'file') {
+                element.setAttribute('value', element.value);
             }
+        }
+    },
 
-            try {
-                const elements = this._findElementsByNameOrId(container, key);
-                if(elements.length === 0) {
-                    continue;
-                }
+    /**
+     * Option names recognized by populate(container, data, options)
+     *
+     * @type {string[]}
+     * @private
+     */
+    _populateOptionNames: ['attributes', 'sanitizeHtml', 'onMissing', 'onError', 'dispatchEvents', 'snapshot', 'selectOptions',
+        'createMissingOptions', 'indexed', 'mapping', 'atomic', 'generateFields'],
 
-                // Special case: radio buttons — only one can be checked
-                if(elements[0].type === 'radio') {
-                    const checked = elements.find(el => el.checked);
-                    values[key] = checked ? checked.value : "";
-                }
-                // Special case: checkboxes (single or group)
-                else if(elements[0].type === 'checkbox') {
-                    const checkedEls = elements.filter(el => el.checked);
-                    const checkedValues = checkedEls.map(el => el.value);
+    /**
+     * True if populate()'s third argument is an options object: any option name among its keys. A legacy attributes map
+     * for fields named like an option must be passed with sanitizeHtml (four arguments) or as options.attributes.
+     *
+     * @param {*} candidate
+     * @returns {boolean}
+     * @private
+     *
+     * @throws {Error} If an options object has keys that are no option names
+     */
+    _isPopulateOptions(candidate) {
+        if(typeof candidate !== 'object' || candidate === null) {
+            return false;
+        }
+        const keys = Object.keys(candidate);
+        if(!keys.some(key => this._populateOptionNames.includes(key))) {
+            return false;
+        }
+        const unknown = keys.find(key => !this._populateOptionNames.includes(key));
+        if(unknown !== undefined) {
+            throw new Error(`Unknown populate() option '${unknown}', pass attributes as options.attributes or as populate(container, data, attributes, sanitizeHtml)`);
+        }
+        return true;
+    },
 
-                    if(checkedValues.length === 1) {
-                        // Single checkbox checked → return string, not array
-                        values[key] = checkedValues[0];
-                    } else if(checkedValues.length > 1) {
-                        // Multiple checked → return array
-                        values[key] = checkedValues;
-                    }
-                }
-                // All other cases: single value OR multiple inputs with same name
-                else {
-                    if(elements.length === 1) {
-                        values[key] = this._extractElementValue(elements[0]);
-                    } else {
-                        // Multiple inputs with same name (e.g. multiple tel, email, text)
-                        values[key] = elements.map(el => this._extractElementValue(el));
-                    }
+    /**
+     * Populates the elements resolved for name, recording it in the report (file inputs as skipped)
+     *
+     * @param {string} name - Key or resolved nested name
+     * @param {HTMLElement[]} elements - Elements matching name
+     * @param {*} value
+     * @param {object} run - Per-call state, see populate()
+     * @private
+     */
+    _populateResolved(name, elements, value, run) {
+        for(const element of elements) {
+            this._record(element, run);
+        }
+        if(run.createMissingOptions) {
+            elements.forEach((element, index) => {
+                if(element.tagName.toLowerCase() === 'select') {
+                    // Repeated selects get one array item each, as in _populateIndexedElement()
+                    const own = elements.length > 1 && Array.isArray(value) ? value[index] : value;
+                    this._recordOptions(element, run);
+                    this._addMissingOptions(element, own);
                 }
-            } catch(error) {
-                console.error(`FormPopulator: Error extracting value for '${key}':`, error);
+            });
+        }
+        const keyAttrs = run.attributes.hasOwnProperty(name) ? run.attributes[name] : null;
+        this._populateElements(elements, value, keyAttrs, run.sanitizeHtml, run);
+        let written = false;
+        for(const element of elements) {
+            if(element.tagName.toLowerCase() === 'input' && element.type === 'file') {
+                run.report.skipped.push({key: name, element, reason: 'file inputs cannot be populated'});
+            } else {
+                written = true;
             }
         }
+        if(written) {
+            run.report.populated.push(name);
+        }
+    },
 
-        return values;
+    /**
+     * Records a key without element and warns, ignores or throws per run.onMissing
+     *
+     * @param {string} name - Key or resolved nested name
+     * @param {object} run - Per-call state, see populate()
+     * @private
+     */
+    _handleMissing(name, run) {
+        if(this._isBound(name, run)) {
+            // Shown through data-fp-* bindings only
+            run.report.populated.push(name);
+            return;
+        }
+        run.report.missing.push(name);
+        if(run.onMissing === 'warn') {
+            console.warn(`FormPopulator: No elements found for key '${name}' (tried name and id)`);
+        } else if(run.onMissing === 'throw') {
+            run.fatal = new Error(`FormPopulator: No elements found for key '${name}' (tried name and id)`);
+            throw run.fatal;
+        }
     },
 
     /**
-     * Returns array of elements matching name first, falls back to id.
+     * Records an error populating key and reports it to run.onError or console.error; rethrows onMissing 'throw'
      *
-     * @param {HTMLElement} container
-     * @param {string} key name or id to find
-     * @returns {unknown[]|*[]}
+     * @param {string} key
+     * @param {Error} error
+     * @param {object} run - Per-call state, see populate()
      * @private
      */
-    _findElementsByNameOrId(container, key) {
-        let elements = container.querySelectorAll(`[name="${CSS.escape(key)}"]`);
-        if(elements.length > 0) {
-            return Array.from(elements);
+    _handleError(key, error, run) {
+        if(error === run.fatal) {
+            throw error;
+        }
+        run.report.errors.push({key, error});
+        if(run.onError) {
+            run.onError(error, key);
+        } else {
+            console.error(`FormPopulator: Error populating '${key}':`, error);
         }
-        const byId = container.querySelector(`#${CSS.escape(key)}`);
-        return byId ? [byId] : [];
     },
 
     /**
-     * Routes value to correct setter based on tag (input, select, textarea, media, content).
+     * Populates the elements found for one key: radio/checkbox groups, repeated names or a single element.
      *
-     * @param {HTMLElement} element
-     * @param value
-     * @param {boolean} sanitizeHtml sets content with true: textContent, false: innerHTML
+     * @param {HTMLElement[]} elements - Elements matching the key
+     * @param {*} value
+     * @param {object|null} keyAttrs - Attributes to set, or null
+     * @param {boolean} sanitizeHtml - Whether to sanitize HTML content
+     * @param {object|null} run - Per-call state (see populate()), run.changed collects controls whose value changed (null: not tracked)
      * @private
      */
-    _populateElement(element, value, sanitizeHtml = true) {
+    _populateElements(elements, value, keyAttrs, sanitizeHtml, run = null) {
+        const before = run && run.changed ? elements.map(element => this._readState(element)) : null;
+        this._writeElements(elements, value, keyAttrs, sanitizeHtml, run);
+        if(before) {
+            for(let i = 0; i < elements.length; i++) {
+                if(before[i] !== null && before[i] !== this._readState(elements[i])) {
+                    run.changed.push(elements[i]);
+                }
+            }
+        }
+    },
+
+    /**
+     * Writes value to the elements found for one key
+     *
+     * @param {HTMLElement[]} elements - Elements matching the key
+     * @param {*} value
+     * @param {object|null} keyAttrs - Attributes to set, or null
+     * @param {boolean} sanitizeHtml - Whether to sanitize HTML content
+     * @param {object|null} run - Per-call state, see populate(); errors inside repeater rows are reported to it
+     * @private
+     */
+    _writeElements(elements, value, keyAttrs, sanitizeHtml, run = null) {
+        const checkType = elements[0] ? this._checkType(elements[0]) : null;
+        if(elements.length > 1 || checkType !== null) {
+            const isRadio = checkType === 'radio';
+            const isCheckbox = checkType === 'checkbox';
+
+            if(isRadio) {
+                if(value === null || value === undefined) {
+                    for(let i = 0; i < elements.length; i++) {
+                        this._uncheckRadio(elements[i], keyAttrs);
+                    }
+                } else {
+                    for(let i = 0; i < elements.length; i++) {
+                        this._setRadioChecked(elements[i], value, keyAttrs);
+                    }
+                }
+            } else if(isCheckbox) {
+                const valuesToCheck = Array.isArray(value) ? value : [value];
+                for(let i = 0; i < elements.length; i++) {
+                    this._setCheckboxChecked(elements[i], valuesToCheck, keyAttrs);
+                }
+            } else {
+                // Multiple non-checkbox/radio inputs (e.g., multiple text inputs with same name)
+                const valuesToSet = Array.isArray(value) ? value : null;
+                for(let i = 0; i < elements.length; i++) {
+                    this._populateIndexedElement(elements[i], valuesToSet, value, i, sanitizeHtml, keyAttrs);
+                }
+            }
+        } else {
+            const element = elements[0];
+            this._populateElement(element, value, sanitizeHtml, run);
+            if(keyAttrs) {
+                this._setElementAttributes(element, keyAttrs);
+            }
+        }
+    },
+
+    /**
+     * Walks a nested object/array whose key had no element, resolving each child to
+     * bracket (user[address][city], items[0][sku], tags[]) or dotted (user.address.city) names.
+     * Attributes are looked up by the resolved name.
+     *
+     * @param {HTMLElement} container
+     * @param {string[]} path - Keys leading to value, e.g. ['user', 'address']
+     * @param {object|Array} value
+     * @param {object} run - Per-call state, see populate()
+     * @private
+     */
+    _populateNested(container, path, value, run) {
+        if(Array.isArray(value)) {
+            // Whole array to a tags[] group (checkboxes, multi-select, repeated inputs)
+            const listName = this._pathToName(path) + '[]';
+            const listElements = this._findElementsByNameOrId(container, listName);
+            if(listElements.length > 0) {
+                this._populateResolved(listName, listElements, value, run);
+                return;
+            }
+        }
+
+        for(const childKey of Object.keys(value)) {
+            const childPath = path.concat(childKey);
+            const childValue = value[childKey];
+            const names = [this._pathToName(childPath), childPath.join('.')];
+            let found = false;
+            for(const name of names) {
+                const elements = this._findElementsByNameOrId(container, name);
+                if(elements.length > 0) {
+                    this._populateResolved(name, elements, childValue, run);
+                    found = true;
+                    break;
+                }
+            }
+            if(found) {
+                continue;
+            }
+            if(this._isNestable(childValue)) {
+                this._populateNested(container, childPath, childValue, run);
+            } else {
+                this._handleMissing(names[0], run);
+            }
+        }
+    },
+
+    /**
+     * Comparable snapshot of a control's value: checked state for checkbox/radio, extracted value otherwise.
+     *
+     * @param {HTMLElement} element
+     * @returns {string|null} null for elements that are neither form controls nor adapter widgets (no events for them)
+     * @private
+     */
+    _readState(element) {
+        const tagName = element.tagName.toLowerCase();
+        if(tagName !== 'input' && tagName !== 'select' && tagName !== 'textarea' && !this._isFormAssociated(element) &&
+            !this._findAdapter(element)) {
+            return null;
+        }
+        if(this._checkType(element) !== null) {
+            return element.checked ? 'checked' : '';
+        }
+        return JSON.stringify(this._extractElementValue(element));
+    },
+
+    /**
+     * Announces a populated value through its adapter's notify() (TomSelect/Selectize non-silent 'change'),
+     * or native input and change events.
+     *
+     * @param {HTMLElement} element
+     * @private
+     */
+    _dispatchChange(element) {
+        const adapter = this._findAdapter(element);
+        if(adapter && adapter.notify) {
+            adapter.notify(element);
+            return;
+        }
+        // composed: listeners outside a shadow root hear controls inside it
+        element.dispatchEvent(new Event('input', {bubbles: true, composed: true}));
+        element.dispatchEvent(new Event('change', {bubbles: true, composed: true}));
+    },
+
+    /**
+     * Unchecks radio button and optionally sets attributes
+     *
+     * @param {HTMLElement} element - Radio input element
+     * @param {object|null} keyAttrs - Attributes to set, or null
+     * @private
+     */
+    _uncheckRadio(element, keyAttrs) {
+        element.checked = false;
+        if(keyAttrs) {
+            this._setElementAttributes(element, keyAttrs);
+        }
+    },
+
+    /**
+     * Sets radio button checked state based on value match
+     *
+     * @param {HTMLElement} element - Radio input element
+     * @param {*} targetValue - Value to match against
+     * @param {object|null} keyAttrs - Attributes to set, or null
+     * @private
+     */
+    _setRadioChecked(element, targetValue, keyAttrs) {
+        // INTENTIONAL: Loose equality (==) required.
+        // DOM values are always strings; Data values may be numbers/booleans.
+        // Strict equality (===) would break standard form coercion logic. Do not change.
+        element.checked = element.value == targetValue;
+        if(keyAttrs) {
+            this._setElementAttributes(element, keyAttrs);
+        }
+    },
+
+    /**
+     * Sets checkbox checked state based on value array match
+     *
+     * @param {HTMLElement} element - Checkbox input element
+     * @param {Array} valuesToCheck - Array of values to check against
+     * @param {object|null} keyAttrs - Attributes to set, or null
+     * @private
+     */
+    _setCheckboxChecked(element, valuesToCheck, keyAttrs) {
+        // Use for loop instead of . some() to avoid closure
+        let isChecked = false;
+        for(let i = 0; i < valuesToCheck.length; i++) {
+            if(valuesToCheck[i] == element. value) {
+                isChecked = true;
+                break;
+            }
+        }
+        element.checked = isChecked;
+        if(keyAttrs) {
+            this._setElementAttributes(element, keyAttrs);
+        }
+    },
+
+    /**
+     * Populates element with indexed or fallback value and optional attributes
+     *
+     * @param {HTMLElement} element - Element to populate
+     * @param {Array|null} valuesToSet - Array of values indexed by position, or null
+     * @param {*} fallbackValue - Value to use if valuesToSet is null
+     * @param {number} index - Index for valuesToSet array
+     * @param {boolean} sanitizeHtml - Whether to sanitize HTML content
+     * @param {object|null} keyAttrs - Attributes to set, or null
+     * @private
+     */
+    _populateIndexedElement(element, valuesToSet, fallbackValue, index, sanitizeHtml, keyAttrs) {
+        const v = valuesToSet ?  (valuesToSet[index] ??  '') : fallbackValue;
+        this._populateElement(element, v, sanitizeHtml);
+        if(keyAttrs) {
+            this._setElementAttributes(element, keyAttrs);
+        }
+    },
+    /**
+     * Reads values from elements matching keys, by name then by id, inside container
+     *
+     * With keys null every named control inside container is read, following native form submission:
+     * disabled controls and buttons are skipped, a <form> container includes controls associated via form=,
+     * controls associated to another form are skipped.
+     *
+     * @param {HTMLElement} container
+     * @param {array|null} keys names/ids to read, null reads every named control
+     * @param {object} options
+     * @param {string} options.output 'object' (default), 'formData' or 'urlSearchParams'
+     * @param {boolean} options.includeIds with keys null, also read id-bearing display elements (span, div...) keyed by id
+     * @param {boolean} options.typed object output only: numbers for number/range, dates for date/datetime-local,
+     *  true/false for a lone checkbox, arrays for checkbox groups, null for empties. data-fp-type on a field overrides
+     *  (honored even without typed, for object output only: FormData/URLSearchParams get the submitted strings)
+     * @param {string} options.dates typed date/datetime-local as 'date' (Date, default) or 'iso' (ISO string); time inputs are
+     *  ISO HH:MM[:SS] strings either way
+     * @param {object} options.mapping API keys to form fields, the same definition populate() takes:
+     *  {apiKey: 'formName' | {name: form field name (default apiKey), toForm(value, data), fromForm(value, formValues), default}}.
+     *  keys are API keys; values come back under API keys through fromForm(), default when the field has no value
+     * @returns {{}|FormData|URLSearchParams} keyed by key in keys with the value or content, an array if multiple name,
+     *  nested object/array rebuilt from user[address][city], items[0][sku], tags[] or user.address.city names
+     *
+     * @throws {Error} If container is not a valid DOM element
+     * @throws {Error} If keys is not an array or null
+     * @throws {Error} If output is not a known format
+     */
+    getValues(container, keys = [], options = {}) {
+
+        if(!container || !container.nodeType) {
+            throw new Error('Container must be a valid DOM element');
+        }
+        if(keys !== null && !Array.isArray(keys)) {
+            throw new Error('Keys must be an array');
+        }
+        const output = options.output || 'object';
+        if(!['object', 'formData', 'urlSearchParams'].includes(output)) {
+            throw new Error(`Unknown output '${output}', expected 'object', 'formData' or 'urlSearchParams'`);
+        }
+
+        if(options.dates !== undefined && options.dates !== 'date' && options.dates !== 'iso') {
+            throw new Error(`Unknown dates '${options.dates}', expected 'date' or 'iso'`);
+        }
+        // Typed values only make sense in objects: FormData/URLSearchParams hold the strings native submission sends
+        const typing = output !== 'object' ? false : (options.typed === true ? {dates: options.dates || 'date'} : null);
+
+        if(options.mapping) {
+            const mapping = this._normalizeMapping(options.mapping);
+            const formKeys = keys === null ? null : keys.map(key => mapping.has(key) ? mapping.get(key).name : key);
+            const read = this._withShadowHosts(() => this._readValues(container, formKeys, typing, options.includeIds === true));
+            const mapped = this._mapFromForm(read, mapping, keys);
+            if(output === 'object') {
+                return mapped;
+            }
+            const params = output === 'formData' ? new FormData() : new URLSearchParams();
+            for(const key in mapped) {
+                this._appendParam(params, key, mapped[key]);
+            }
+            return params;
+        }
+
+        if(keys === null) {
+            return this._withShadowHosts(() => this._serialize(container, output, options.includeIds === true, typing));
+        }
+
+        const values = this._withShadowHosts(() => this._readValues(container, keys, typing, false));
+        if(output === 'object') {
+            return values;
+        }
+        const params = output === 'formData' ? new FormData() : new URLSearchParams();
+        for(const key in values) {
+            this._appendParam(params, key, values[key]);
+        }
+        return params;
+    },
+
+    /**
+     * Reads keys (null: every named control) into an object for getValues()
+     *
+     * @param {HTMLElement} container
+     * @param {string[]|null} keys
+     * @param {object|null|false} typing {dates} for typed values, null for strings (data-fp-type honored), false for raw strings
+     * @param {boolean} includeIds with keys null, also read id-bearing display elements
+     * @returns {object}
+     * @private
+     */
+    _readValues(container, keys, typing, includeIds) {
+        if(keys === null) {
+            return this._serialize(container, 'object', includeIds, typing);
+        }
+
+        const values = {};
+
+        for(const key of keys) {
+            if(typeof key !== 'string') {
+                console.error(`FormPopulator: Invalid key type '${typeof key}', skipping`, key);
+                continue;
+            }
+
+            try {
+                const elements = this._findElementsByNameOrId(container, key);
+                if(elements.length > 0 && !this._isGroupWrapper(container, key, elements)) {
+                    const value = this._extractGroupValue(elements, typing);
+                    if(value !== undefined) {
+                        values[key] = value;
+                    }
+                    continue;
+                }
+
+                // Nested names: user[address][city], items[0][sku], tags[], user.address.city
+                const nested = this._extractNested(container, key, typing);
+                if(nested !== undefined) {
+                    values[key] = nested;
+                }
+            } catch(error) {
+                console.error(`FormPopulator: Error extracting value for '${key}':`, error);
+            }
+        }
+        return values;
+    },
+
+    /**
+     * Validates a mapping definition and returns it as a Map of apiKey → {name, toForm, fromForm, hasDefault, default}
+     *
+     * @param {object} mapping {apiKey: 'formName' | {name, toForm, fromForm, default}}
+     * @returns {Map<string, object>}
+     * @private
+     *
+     * @throws {Error} If mapping is not an object, or an entry is neither a string nor an object, or toForm/fromForm are not functions
+     */
+    _normalizeMapping(mapping) {
+        if(typeof mapping !== 'object' || mapping === null) {
+            throw new Error('Mapping must be an object');
+        }
+        const normalized = new Map();
+        for(const key of Object.keys(mapping)) {
+            const entry = typeof mapping[key] === 'string' ? {name: mapping[key]} : mapping[key];
+            if(typeof entry !== 'object' || entry === null) {
+                throw new Error(`Mapping for '${key}' must be a field name or an object`);
+            }
+            for(const fn of ['toForm', 'fromForm']) {
+                if(entry[fn] !== undefined && typeof entry[fn] !== 'function') {
+                    throw new Error(`Mapping for '${key}': ${fn} must be a function`);
+                }
+            }
+            normalized.set(key, {
+                name: entry.name || key,
+                toForm: entry.toForm || null,
+                fromForm: entry.fromForm || null,
+                hasDefault: entry.hasOwnProperty('default'),
+                default: entry.default
+            });
+        }
+        return normalized;
+    },
+
+    /**
+     * Renames and converts API data to form data: null/undefined take the default, toForm() gets the other values
+     *
+     * @param {object} data
+     * @param {Map<string, object>} mapping see _normalizeMapping()
+     * @returns {object}
+     * @private
+     */
+    _mapToForm(data, mapping) {
+        const mapped = {};
+        for(const key in data) {
+            if(!data.hasOwnProperty(key)) {
+                continue;
+            }
+            const entry = mapping.get(key);
+            if(!entry) {
+                mapped[key] = data[key];
+                continue;
+            }
+            let value = data[key];
+            if(value == null && entry.hasDefault) {
+                value = entry.default;
+            }
+            // null still clears the field, toForm() is not asked to convert it
+            mapped[entry.name] = entry.toForm && value != null ? entry.toForm(value, data) : value;
+        }
+        return mapped;
+    },
+
+    /**
+     * Renames and converts form values back to API keys through fromForm(), the default for fields without value
+     *
+     * @param {object} formValues read with form names
+     * @param {Map<string, object>} mapping see _normalizeMapping()
+     * @param {array|null} keys API keys asked for, null: every mapped key, unmapped values kept as read
+     * @returns {object}
+     * @private
+     */
+    _mapFromForm(formValues, mapping, keys) {
+        const convert = (entry, found, value) => {
+            if(found && value !== undefined) {
+                return {set: true, value: entry.fromForm ? entry.fromForm(value, formValues) : value};
+            }
+            return {set: entry.hasDefault, value: entry.default};
+        };
+
+        if(keys !== null) {
+            const values = {};
+            for(const key of keys) {
+                const entry = mapping.get(key);
+                const name = entry ? entry.name : key;
+                const found = formValues.hasOwnProperty(name);
+                const result = entry ? convert(entry, found, formValues[name]) : {set: found, value: formValues[name]};
+                if(result.set) {
+                    values[key] = result.value;
+                }
+            }
+            return values;
+        }
+
+        // Whole container: mapped fields may sit nested (user[city] → {user: {city}}), take them out first
+        const values = this._cloneNested(formValues);
+        const results = [];
+        for(const [key, entry] of mapping) {
+            const resolved = this._resolvePath(formValues, entry.name);
+            results.push([key, convert(entry, resolved.found, resolved.value)]);
+            if(resolved.found) {
+                this._deletePath(values, this._nameToPath(entry.name));
+            }
+        }
+        for(const [key, result] of results) {
+            if(result.set) {
+                values[key] = result.value;
+            }
+        }
+        return values;
+    },
+
+    /**
+     * Copies nested plain objects/arrays, leaving other values (Dates, Files) shared
+     *
+     * @param {*} value
+     * @returns {*}
+     * @private
+     */
+    _cloneNested(value) {
+        if(Array.isArray(value)) {
+            return value.map(item => this._cloneNested(item));
+        }
+        if(this._isNestable(value)) {
+            const copy = {};
+            for(const key of Object.keys(value)) {
+                copy[key] = this._cloneNested(value[key]);
+            }
+            return copy;
+        }
+        return value;
+    },
+
+    /**
+     * Deletes the value at path and the objects left empty above it
+     *
+     * @param {object} target
+     * @param {string[]} path
+     * @private
+     */
+    _deletePath(target, path) {
+        if(!this._isSafePath(path)) {
+            return;
+        }
+        const parents = [target];
+        for(let i = 0; i < path.length - 1; i++) {
+            const node = parents[i][path[i]];
+            if(typeof node !== 'object' || node === null) {
+                return;
+            }
+            parents.push(node);
+        }
+        delete parents[path.length - 1][path[path.length - 1]];
+        for(let i = path.length - 2; i >= 0; i--) {
+            const node = parents[i + 1];
+            if(!Array.isArray(node) && Object.keys(node).length === 0) {
+                delete parents[i][path[i]];
+            } else {
+                break;
+            }
+        }
+    },
+
+    /**
+     * Reads every submittable named control (and optionally id-bearing display elements) inside container
+     *
+     * @param {HTMLElement} container
+     * @param {string} output 'object', 'formData' or 'urlSearchParams'
+     * @param {boolean} includeIds
+     * @param {object|null|false} typing {dates} for typed values, null for strings, false for raw strings (no data-fp-type)
+     * @param {function|null} accept (element) → false leaves a control out, also inside repeater rows; null keeps all
+     * @returns {{}|FormData|URLSearchParams}
+     * @private
+     */
+    _serialize(container, output, includeIds, typing, accept = null) {
+        const fields = accept ? this._discoverFields(container).filter(accept) : this._discoverFields(container);
+        const groups = this._groupByName(fields);
+
+        const repeaters = this._queryAll(container, '[data-fp-repeater]').filter(el => this._isInScope(container, el));
+
+        if(output === 'object') {
+            const values = {};
+            if(includeIds) {
+                for(const element of this._discoverDisplayElements(container, fields)) {
+                    values[element.id] = this._extractElementValue(element);
+                }
+            }
+            this._assignGroups(values, groups, typing);
+            for(const repeater of repeaters) {
+                values[repeater.getAttribute('data-fp-repeater')] = this._extractRepeater(repeater, typing, accept);
+            }
+            return values;
+        }
+
+        const params = output === 'formData' ? new FormData() : new URLSearchParams();
+        for(const [name, elements] of groups) {
+            const value = this._extractGroupValue(elements, false);
+            // Like native submission: nothing for unchecked checkboxes and radio groups
+            if(value === undefined || (this._checkType(elements[0]) === 'radio' && value === '')) {
+                continue;
+            }
+            this._appendParam(params, name, value);
+        }
+        for(const repeater of repeaters) {
+            this._appendParam(params, repeater.getAttribute('data-fp-repeater'), this._extractRepeater(repeater, false, accept));
+        }
+        if(includeIds) {
+            for(const element of this._discoverDisplayElements(container, fields)) {
+                params.append(element.id, this._extractElementValue(element));
+            }
+        }
+        return params;
+    },
+
+    /**
+     * Stores [] for checkbox groups with nothing checked, which _serialize() leaves out, so populating values unchecks them
+     * instead of keeping their current state. Walks repeater rows too.
+     *
+     * @param {HTMLElement} container
+     * @param {object} values read by _serialize(container, 'object', ...)
+     * @param {function|null} accept (element) → false leaves a control out, as for _serialize()
+     * @private
+     */
+    _assignUnchecked(container, values, accept = null) {
+        const fields = accept ? this._discoverFields(container).filter(accept) : this._discoverFields(container);
+        for(const [name, elements] of this._groupByName(fields)) {
+            if(this._checkType(elements[0]) !== 'checkbox' || this._extractGroupValue(elements) !== undefined) {
+                continue;
+            }
+            const path = this._nameToPath(name);
+            if(path[path.length - 1] === '') {
+                path.pop();
+            }
+            this._assignPath(values, path, []);
+        }
+        for(const repeater of this._queryAll(container, '[data-fp-repeater]').filter(el => this._isInScope(container, el))) {
+            const rows = values[repeater.getAttribute('data-fp-repeater')];
+            this._repeaterRows(repeater).forEach((row, index) => this._assignUnchecked(row, rows[index], accept));
+        }
+    },
+
+    /**
+     * Returns the controls native form submission would send: named, enabled, not buttons,
+     * from container.elements for a <form> (includes form= associated controls) or descendants otherwise.
+     * Named contenteditable hosts count as controls too.
+     *
+     * @param {HTMLElement} container
+     * @returns {HTMLElement[]}
+     * @private
+     */
+    _discoverFields(container) {
+        const isForm = container.tagName && container.tagName.toLowerCase() === 'form';
+        // Custom elements can be form-associated, so their tag names are unknown: read all [name] and filter below.
+        // A form's own elements cannot include controls inside shadow roots, those are added (contains() stops at them)
+        const candidates = isForm ?
+            Array.from(container.elements).concat(this._queryAll(container, '[name]').filter(element => !container.contains(element))) :
+            this._queryAll(container, '[name]');
+
+        return candidates.filter(element => {
+            const tagName = element.tagName.toLowerCase();
+            if(!this._isInScope(container, element)) {
+                return false; // read as part of its repeater row
+            }
+            if(tagName !== 'input' && tagName !== 'select' && tagName !== 'textarea' && !this._isFormAssociated(element) &&
+                !this._isContentEditable(element)) {
+                return false; // button, fieldset, output, object
+            }
+            if(!element.getAttribute('name')) {
+                return false;
+            }
+            if(tagName === 'input' && ['submit', 'reset', 'button', 'image'].includes(element.type)) {
+                return false;
+            }
+            if(element.disabled || element.hasAttribute('disabled') || element.matches(':disabled')) {
+                return false;
+            }
+            // form="otherForm" takes the control away from the enclosing form
+            return isForm || !element.hasAttribute('form') || element.form === element.closest('form');
+        });
+    },
+
+    /**
+     * Returns id-bearing display elements (no name, not a control, not wrapping fields) inside container
+     *
+     * @param {HTMLElement} container
+     * @param {HTMLElement[]} fields already discovered controls
+     * @returns {HTMLElement[]}
+     * @private
+     */
+    _discoverDisplayElements(container, fields) {
+        const controls = ['input', 'select', 'textarea', 'button', 'option', 'optgroup', 'fieldset', 'form', 'label', 'datalist'];
+        return this._queryAll(container, '[id]').filter(element => {
+            if(element.hasAttribute('name') || element.hasAttribute('data-fp-repeater') || element.shadowRoot ||
+                controls.includes(element.tagName.toLowerCase()) || !this._isInScope(container, element)) {
+                return false;
+            }
+            for(const field of fields) {
+                if(element.contains(field)) {
+                    return false;
+                }
+            }
+            return true;
+        });
+    },
+
+    /**
+     * Groups elements by name attribute, keeping DOM order
+     *
+     * @param {HTMLElement[]|NodeList} elements
+     * @returns {Map<string, HTMLElement[]>}
+     * @private
+     */
+    _groupByName(elements) {
+        const groups = new Map();
+        for(const element of elements) {
+            const name = element.getAttribute('name');
+            if(!groups.has(name)) {
+                groups.set(name, []);
+            }
+            groups.get(name).push(element);
+        }
+        return groups;
+    },
+
+    /**
+     * Reads each group and stores it in target by its name's path: user[address][city] → target.user.address.city
+     *
+     * @param {object} target
+     * @param {Map<string, HTMLElement[]>} groups
+     * @param {object|null|false} typing {dates} for typed values, null for strings, false for raw strings (no data-fp-type)
+     * @private
+     */
+    _assignGroups(target, groups, typing = null) {
+        for(const [name, elements] of groups) {
+            const value = this._extractGroupValue(elements, typing);
+            if(value === undefined) {
+                continue;
+            }
+            const path = this._nameToPath(name);
+            if(path[path.length - 1] === '') {
+                // tags[] always collects into an array
+                path.pop();
+                this._assignPath(target, path, Array.isArray(value) ? value : [value]);
+            } else {
+                this._assignPath(target, path, value);
+            }
+        }
+    },
+
+    /**
+     * Appends value to FormData/URLSearchParams: arrays repeat the name, objects expand to name[child]
+     *
+     * @param {FormData|URLSearchParams} params
+     * @param {string} name
+     * @param {*} value
+     * @private
+     */
+    _appendParam(params, name, value) {
+        if(Array.isArray(value)) {
+            for(let i = 0; i < value.length; i++) {
+                if(this._isNestable(value[i])) {
+                    this._appendParam(params, `${name}[${i}]`, value[i]);
+                } else {
+                    this._appendParam(params, name, value[i]);
+                }
+            }
+        } else if(this._isNestable(value)) {
+            for(const key of Object.keys(value)) {
+                this._appendParam(params, `${name}[${key}]`, value[key]);
+            }
+        } else if(typeof File !== 'undefined' && value instanceof File && !(params instanceof FormData)) {
+            params.append(name, value.name); // URLSearchParams: like a GET form submission
+        } else {
+            params.append(name, value === null || value === undefined ? '' : value);
+        }
+    },
+
+    /**
+     * Reads the value of the elements found for one key: radio/checkbox groups, repeated names or a single element.
+     *
+     * @param {HTMLElement[]} elements - Elements matching the key
+     * @param {object|null|false} typing {dates} for typed values, null for strings (data-fp-type honored), false for raw strings
+     * @returns {*} value, or undefined when nothing should be reported (no checkbox checked)
+     * @private
+     */
+    _extractGroupValue(elements, typing = null) {
+        if(elements[0].hasAttribute('data-fp-repeater')) {
+            return this._extractRepeater(elements[0], typing);
+        }
+        const fpType = elements[0].getAttribute('data-fp-type');
+        if(typing !== false && (typing || fpType)) {
+            return this._extractTypedGroupValue(elements, fpType, typing || {dates: 'date'});
+        }
+        const checkType = this._checkType(elements[0]);
+        // Special case: radio buttons — only one can be checked
+        if(checkType === 'radio') {
+            const checked = elements.find(el => el.checked);
+            return checked ? checked.value : "";
+        }
+        // Special case: checkboxes (single or group)
+        if(checkType === 'checkbox') {
+            const checkedValues = elements.filter(el => el.checked).map(el => el.value);
+            if(checkedValues.length === 1) {
+                // Single checkbox checked → return string, not array
+                return checkedValues[0];
+            }
+            // Multiple checked → return array, none checked → omitted
+            return checkedValues.length > 1 ? checkedValues : undefined;
+        }
+        // All other cases: single value OR multiple inputs with same name (e.g. multiple tel, email, text)
+        if(elements.length === 1) {
+            return this._extractElementValue(elements[0]);
+        }
+        return elements.map(el => this._extractElementValue(el));
+    },
+
+    /**
+     * Typed version of _extractGroupValue: a lone checkbox is true/false, checkbox groups always arrays,
+     * empties null, values converted by data-fp-type or inferred from the input type.
+     *
+     * @param {HTMLElement[]} elements - Elements matching the key
+     * @param {string|null} fpType - data-fp-type of the first element
+     * @param {object} typing {dates: 'date'|'iso'}
+     * @returns {*}
+     * @private
+     */
+    _extractTypedGroupValue(elements, fpType, typing) {
+        const first = elements[0];
+        const checkType = this._checkType(first);
+        if(checkType === 'radio') {
+            const checked = elements.find(el => el.checked);
+            return checked ? this._convertTyped(checked.value, fpType || 'string', typing) : null;
+        }
+        if(checkType === 'checkbox') {
+            const isGroup = elements.length > 1 || fpType === 'array' || first.getAttribute('name').endsWith('[]');
+            if(!isGroup && (!fpType || fpType === 'boolean')) {
+                return first.checked;
+            }
+            const checkedValues = elements.filter(el => el.checked)
+                .map(el => this._convertTyped(el.value, fpType && fpType !== 'array' ? fpType : 'string', typing));
+            return isGroup ? checkedValues : (checkedValues.length ? checkedValues[0] : null);
+        }
+        if(elements.length === 1) {
+            return this._extractTypedElementValue(first, fpType, typing);
+        }
+        return elements.map(el => this._extractTypedElementValue(el, el.getAttribute('data-fp-type') || fpType, typing));
+    },
+
+    /**
+     * Reads one element and converts it by data-fp-type, its adapter type (AutoNumeric: number, 'date' per typing.dates), or its input type: number/range → number,
+     * date/datetime-local → Date or ISO per typing.dates, time → ISO time, anything else → string. Empty → null.
+     *
+     * @param {HTMLElement} element
+     * @param {string|null} fpType
+     * @param {object} typing {dates: 'date'|'iso'}
+     * @returns {*}
+     * @private
+     */
+    _extractTypedElementValue(element, fpType, typing) {
+        const raw = this._extractElementValue(element);
+        let type = fpType;
+        if(!type) {
+            const inputType = element.tagName.toLowerCase() === 'input' ? element.type.toLowerCase() : '';
+            const adapter = this._findAdapter(element);
+            if(adapter && adapter.type) {
+                type = typeof adapter.type === 'function' ? adapter.type(element) : adapter.type;
+                if(type === 'date') {
+                    type = typing.dates;
+                }
+            } else if(inputType === 'number' || inputType === 'range') {
+                type = 'number';
+            } else if(inputType === 'date' || inputType === 'datetime-local') {
+                type = typing.dates;
+            } else if(inputType === 'time') {
+                type = 'time'; // a Date would need a made-up day, ISO HH:MM[:SS] in both dates modes
+            } else {
+                type = 'string';
+            }
+        }
+        if(Array.isArray(raw)) {
+            // Multiple select
+            return raw.map(v => this._convertTyped(v, type === 'array' ? 'string' : type, typing));
+        }
+        return type === 'array' ? (raw === '' ? [] : [raw]) : this._convertTyped(raw, type, typing);
+    },
+
+    /**
+     * Converts a string read from the DOM to type: string, number, integer, boolean, date (Date), iso or time
+     * (ISO HH:MM[:SS]). Empty → null.
+     *
+     * @param {string} raw
+     * @param {string} type
+     * @param {object} typing {dates: 'date'|'iso'}
+     * @returns {*}
+     * @private
+     */
+    _convertTyped(raw, type, typing) {
+        if(raw === '' || raw === null || raw === undefined) {
+            return null;
+        }
+        switch(type) {
+            case 'number': {
+                const n = Number(raw);
+                return Number.isNaN(n) ? null : n;
+            }
+            case 'integer': {
+                const n = parseInt(raw, 10);
+                return Number.isNaN(n) ? null : n;
+            }
+            case 'boolean':
+                return ['1', 'true', 'yes', 'on'].includes(String(raw).toLowerCase());
+            case 'date': {
+                // Date-only values as local midnight, the wall-clock time populate() writes Dates back with
+                const date = this._toDate(raw);
+                return Number.isNaN(date.getTime()) ? null : date;
+            }
+            case 'iso': {
+                // Date-only and time-only values are already ISO 8601
+                if(/^\d{4}-\d{2}-\d{2}$/.test(raw) || /^\d{2}:\d{2}/.test(raw)) {
+                    return raw;
+                }
+                const date = new Date(raw);
+                return Number.isNaN(date.getTime()) ? null : date.toISOString();
+            }
+            case 'time':
+                return /^\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(raw) ? raw : null;
+            case 'string':
+                return raw;
+            default:
+                console.warn(`FormPopulator: Unknown data-fp-type '${type}', returning string`);
+                return raw;
+        }
+    },
+
+    /**
+     * Rebuilds the nested object/array for key from fields named key[...] or key.xxx
+     *
+     * @param {HTMLElement} container
+     * @param {string} key
+     * @param {object|null|false} typing {dates} for typed values, null for strings, false for raw strings (no data-fp-type)
+     * @returns {object|Array|undefined} undefined if no field is named under key
+     * @private
+     */
+    _extractNested(container, key, typing = null) {
+        const fields = this._queryAll(container, '[name]').filter(field => {
+            const name = field.getAttribute('name');
+            return (name.startsWith(key + '[') || name.startsWith(key + '.')) && this._isInScope(container, field);
+        });
+        if(fields.length === 0) {
+            return undefined;
+        }
+
+        const root = {};
+        this._assignGroups(root, this._groupByName(fields), typing);
+        return root[key];
+    },
+
+    /**
+     * True when key only matched the id of a wrapper (<fieldset id="address">, div, section...) that is walked like a
+     * missing element: for a plain object value, or when key[...] / key. fields exist inside container. Controls and
+     * elements with their own value handling (img, picture, a, lists, tables...) are never wrappers.
+     *
+     * @param {HTMLElement} container
+     * @param {string} key
+     * @param {HTMLElement[]} elements found for key
+     * @param {*} value populate() data for key, undefined when reading
+     * @returns {boolean}
+     * @private
+     */
+    _isGroupWrapper(container, key, elements, value = undefined) {
+        const element = elements[0];
+        const valued = ['input', 'select', 'textarea', 'output', 'progress', 'meter', 'details', 'datalist', 'img', 'video',
+            'audio', 'iframe', 'source', 'picture', 'a', 'ul', 'ol', 'table', 'tbody'];
+        if(elements.length !== 1 || element.id !== key || element.getAttribute('name') === key ||
+            element.hasAttribute('data-fp-repeater') || valued.includes(element.tagName.toLowerCase()) ||
+            this._isFormAssociated(element) || this._isContentEditable(element)) {
+            return false;
+        }
+        if(this._isNestable(value) && !Array.isArray(value)) {
+            return true;
+        }
+        return this._queryAll(container, '[name]').some(field => {
+            const name = field.getAttribute('name');
+            return (name.startsWith(key + '[') || name.startsWith(key + '.')) && this._isInScope(container, field);
+        });
+    },
+
+    /**
+     * True for values populate() walks into when their key has no element: arrays and plain objects
+     *
+     * @param {*} value
+     * @returns {boolean}
+     * @private
+     */
+    _isNestable(value) {
+        if(Array.isArray(value)) {
+            return true;
+        }
+        if(typeof value !== 'object' || value === null) {
+            return false;
+        }
+        const proto = Object.getPrototypeOf(value);
+        return proto === Object.prototype || proto === null;
+    },
+
+    /**
+     * Converts ['user', 'address', 'city'] to bracket name user[address][city]
+     *
+     * @param {string[]} path
+     * @returns {string}
+     * @private
+     */
+    _pathToName(path) {
+        return path[0] + path.slice(1).map(segment => `[${segment}]`).join('');
+    },
+
+    /**
+     * Splits bracket and/or dotted names into path segments, tags[] ends with an empty segment.
+     *   user[address][city] → ['user', 'address', 'city'], user.address.city → same, items[0][sku] → ['items', '0', 'sku']
+     *
+     * @param {string} name
+     * @returns {string[]}
+     * @private
+     */
+    _nameToPath(name) {
+        const path = [];
+        const re = /([^.[\]]+)|\[([^\]]*)]/g;
+        let match;
+        while((match = re.exec(name)) !== null) {
+            path.push(match[1] !== undefined ? match[1] : match[2]);
+        }
+        return path;
+    },
+
+    /**
+     * Path segments that would reach Object.prototype instead of own properties: field names come from markup,
+     * which may be built from untrusted data (generateFields()), e.g. __proto__[isAdmin]
+     *
+     * @type {string[]}
+     * @private
+     */
+    _unsafeSegments: ['__proto__', 'constructor', 'prototype'],
+
+    /**
+     * True if no path segment is __proto__, constructor or prototype
+     *
+     * @param {string[]} path
+     * @returns {boolean}
+     * @private
+     */
+    _isSafePath(path) {
+        return !path.some(segment => this._unsafeSegments.includes(segment));
+    },
+
+    /**
+     * Sets value at path inside target, creating arrays for numeric segments and objects otherwise.
+     * Unsafe paths (see _isSafePath()) are skipped with a warning.
+     *
+     * @param {object} target
+     * @param {string[]} path
+     * @param {*} value
+     * @private
+     */
+    _assignPath(target, path, value) {
+        if(!this._isSafePath(path)) {
+            console.warn(`FormPopulator: Ignoring unsafe field name '${this._pathToName(path)}'`);
+            return;
+        }
+        let node = target;
+        for(let i = 0; i < path.length - 1; i++) {
+            const segment = path[i];
+            if(typeof node[segment] !== 'object' || node[segment] === null) {
+                node[segment] = /^\d+$/.test(path[i + 1]) ? [] : {};
+            }
+            node = node[segment];
+        }
+        node[path[path.length - 1]] = value;
+    },
+
+    /**
+     * Stores the current values of container, read like getValues(), as the reference for getChanges(), isDirty() and reset()
+     *
+     * @param {HTMLElement} container
+     * @param {array|null} keys names/ids to track, null tracks every named control
+     * @returns {object} the snapshot values
+     *
+     * @throws {Error} If container is not a valid DOM element
+     */
+    snapshot(container, keys = null) {
+        const values = this.getValues(container, keys);
+        this._snapshots.set(container, {keys: keys === null ? null : keys.slice(), values});
+        return values;
+    },
+
+    /**
+     * Compares the current values of container with its snapshot
+     *
+     * @param {HTMLElement} container
+     * @returns {Object<string, {from: *, to: *}>} changed top-level keys, from/to undefined when omitted (e.g. unchecked checkbox).
+     *  Empty if no snapshot was taken.
+     *
+     * @throws {Error} If container is not a valid DOM element
+     */
+    getChanges(container) {
+        const snapshot = this._snapshots.get(container);
+        if(!snapshot) {
+            return {};
+        }
+        const current = this.getValues(container, snapshot.keys);
+        const changes = {};
+        const keys = new Set(Object.keys(snapshot.values).concat(Object.keys(current)));
+        for(const key of keys) {
+            if(JSON.stringify(snapshot.values[key]) !== JSON.stringify(current[key])) {
+                changes[key] = {from: snapshot.values[key], to: current[key]};
+            }
+        }
+        return changes;
+    },
+
+    /**
+     * True if any value of container differs from its snapshot, false if equal or no snapshot was taken
+     *
+     * @param {HTMLElement} container
+     * @returns {boolean}
+     *
+     * @throws {Error} If container is not a valid DOM element
+     */
+    isDirty(container) {
+        return Object.keys(this.getChanges(container)).length > 0;
+    },
+
+    /**
+     * Restores the snapshot values of container through populate(), clearing keys the snapshot omitted
+     *
+     * @param {HTMLElement} container
+     * @param {object} options populate() options, e.g. {dispatchEvents: true}
+     *
+     * @throws {Error} If container is not a valid DOM element
+     * @throws {Error} If no snapshot was taken for container
+     */
+    reset(container, options = {}) {
+        const snapshot = this._snapshots.get(container);
+        if(!snapshot) {
+            throw new Error('No snapshot for container, call snapshot() first');
+        }
+        const data = {};
+        for(const key in this.getChanges(container)) {
+            data[key] = snapshot.values.hasOwnProperty(key) ? snapshot.values[key] : null;
+        }
+        this.populate(container, data, {}, true, Object.assign({}, options, {snapshot: false}));
+    },
+
+    /**
+     * Checks data against the markup without changing the DOM, for development builds and tests. Keys resolve like populate().
+     *
+     * @param {HTMLElement} container
+     * @param {object} data
+     * @param {object} options
+     * @param {object} options.mapping see populate()
+     * @returns {{missing: string[], uncovered: string[], unmatchedOptions: {key: string, element: HTMLSelectElement, value: *}[],
+     *  unmatchedChoices: {key: string, elements: HTMLInputElement[], value: *}[], ambiguous: {key: string, named: HTMLElement[], id: HTMLElement}[],
+     *  fileInputs: {key: string, element: HTMLInputElement}[], duplicateIds: {id: string, elements: HTMLElement[]}[]}}
+     *  missing: keys without element; uncovered: named fields (and repeaters) no key reaches; unmatchedOptions: select values
+     *  no <option> has (populate() leaves the select cleared); unmatchedChoices: checkbox/radio values no box has (all unchecked);
+     *  ambiguous: keys matching a name and, elsewhere, an id (the name wins); fileInputs: keys hitting file inputs (skipped);
+     *  duplicateIds: ids used more than once in the same document or shadow root
+     *
+     * @throws {Error} If container is not a valid DOM element
+     * @throws {Error} If data is null or not an object
+     */
+    audit(container, data = {}, options = {}) {
+        if(!container || !container.nodeType) {
+            throw new Error('Container must be a valid DOM element');
+        }
+        if(typeof data !== 'object' || data === null) {
+            throw new Error('Data must be a non-null object');
+        }
+        if(options.mapping) {
+            data = this._mapToForm(data, this._normalizeMapping(options.mapping));
+        }
+
+        return this._withShadowHosts(() => {
+            const result = {missing: [], uncovered: [], unmatchedOptions: [], unmatchedChoices: [], ambiguous: [], fileInputs: [], duplicateIds: []};
+            const state = {result, covered: new Set(), bindings: this._collectBindings(container)};
+            for(const key in data) {
+                if(!data.hasOwnProperty(key)) {
+                    continue;
+                }
+                const elements = this._findElementsByNameOrId(container, key);
+                if(elements.length > 0 && !this._isGroupWrapper(container, key, elements, data[key])) {
+                    this._auditResolved(container, key, elements, data[key], state);
+                } else if(this._isNestable(data[key])) {
+                    this._auditNested(container, [key], data[key], state);
+                } else if(!this._isBound(key, state)) {
+                    result.missing.push(key);
+                }
+            }
+
+            const fields = this._discoverFields(container)
+                .concat(this._queryAll(container, '[data-fp-repeater]').filter(el => this._isInScope(container, el)));
+            const fieldName = element => element.getAttribute('name') || element.getAttribute('data-fp-repeater');
+            const coveredNames = new Set(fields.filter(element => state.covered.has(element)).map(fieldName));
+            for(const name of new Set(fields.map(fieldName))) {
+                if(!coveredNames.has(name)) {
+                    result.uncovered.push(name);
+                }
+            }
+
+            // Ids are unique per document or shadow root
+            const ids = new Map();
+            for(const element of this._queryAll(container, '[id]')) {
+                const key = element.getRootNode();
+                if(!ids.has(key)) {
+                    ids.set(key, new Map());
+                }
+                const byId = ids.get(key);
+                byId.set(element.id, (byId.get(element.id) || []).concat(element));
+            }
+            for(const byId of ids.values()) {
+                for(const [id, elements] of byId) {
+                    if(elements.length > 1) {
+                        result.duplicateIds.push({id, elements});
+                    }
+                }
+            }
+            return result;
+        });
+    },
+
+    /**
+     * Walks a nested object/array whose key had no element for audit(), resolving names like _populateNested()
+     *
+     * @param {HTMLElement} container
+     * @param {string[]} path
+     * @param {object|Array} value
+     * @param {object} state {result, covered, bindings}, see audit()
+     * @private
+     */
+    _auditNested(container, path, value, state) {
+        if(Array.isArray(value)) {
+            const listName = this._pathToName(path) + '[]';
+            const listElements = this._findElementsByNameOrId(container, listName);
+            if(listElements.length > 0) {
+                this._auditResolved(container, listName, listElements, value, state);
+                return;
+            }
+        }
+
+        for(const childKey of Object.keys(value)) {
+            const childPath = path.concat(childKey);
+            const names = [this._pathToName(childPath), childPath.join('.')];
+            const name = names.find(candidate => this._findElementsByNameOrId(container, candidate).length > 0);
+            if(name !== undefined) {
+                this._auditResolved(container, name, this._findElementsByNameOrId(container, name), value[childKey], state);
+            } else if(this._isNestable(value[childKey])) {
+                this._auditNested(container, childPath, value[childKey], state);
+            } else if(!this._isBound(names[0], state)) {
+                state.result.missing.push(names[0]);
+            }
+        }
+    },
+
+    /**
+     * Audits the elements resolved for name: ambiguity with an id, file inputs, values no option or box matches
+     *
+     * @param {HTMLElement} container
+     * @param {string} name
+     * @param {HTMLElement[]} elements
+     * @param {*} value
+     * @param {object} state {result, covered, bindings}, see audit()
+     * @private
+     */
+    _auditResolved(container, name, elements, value, state) {
+        const result = state.result;
+        elements.forEach(element => state.covered.add(element));
+
+        if(elements[0].getAttribute('name') === name) {
+            const byId = this._queryAll(container, `#${this._cssEscape(name)}`).find(el => this._isInScope(container, el));
+            if(byId && !elements.includes(byId)) {
+                result.ambiguous.push({key: name, named: elements, id: byId});
+            }
+        }
+
+        for(const element of elements) {
+            if(element.tagName.toLowerCase() === 'input' && element.type === 'file') {
+                result.fileInputs.push({key: name, element});
+            }
+        }
+
+        const checkType = this._checkType(elements[0]);
+        if(checkType !== null) {
+            // Unchecking everything on purpose: null, '', false, []
+            const values = (Array.isArray(value) ? value : [value]).filter(item => item != null && item !== '' && item !== false);
+            const choices = checkType === 'radio' ? values.slice(0, 1) : values;
+            for(const item of choices) {
+                if(!elements.some(element => element.value == item)) {
+                    result.unmatchedChoices.push({key: name, elements, value: item});
+                }
+            }
+            return;
+        }
+
+        elements.forEach((element, index) => {
+            if(element.tagName.toLowerCase() !== 'select') {
+                return;
+            }
+            // Repeated selects get one array item each, as in _populateIndexedElement()
+            const own = elements.length > 1 && Array.isArray(value) ? value[index] : value;
+            const values = (Array.isArray(own) ? own : [own]).filter(item => item != null && item !== '');
+            for(const item of values) {
+                if(!Array.from(element.options).some(option => option.value == item)) {
+                    result.unmatchedOptions.push({key: name, element, value: item});
+                }
+            }
+        });
+    },
+
+    /**
+     * Builds controls for keys of data (and properties of schema) that have no element, so populate() and getValues()
+     * handle them like written markup. Types come from schema or are inferred from the values:
+     *  string → text (format date/date-time/time/email/uri → date/datetime-local/time/email/url), number/integer → number,
+     *  boolean → checkbox (value "1"), enum → select, object → fieldset of its properties (user[address][city] names),
+     *  array of objects → repeater with a generated row template, array with enum items → multiple select (tags[]),
+     *  other arrays → a list of tags[] inputs, one per item.
+     * Each control gets a <label> (schema title or the humanized key) and a unique id; controls inside repeater rows are
+     * wrapped by their label instead. Controls are appended to the [data-fp-generate] element inside container, or to container.
+     *
+     * @param {HTMLElement} container
+     * @param {object} data
+     * @param {object|null} schema JSON-Schema-like: {properties: {key: {type, format, enum, title, items, properties,
+     *  required, minimum, maximum, maxLength}}, required: [key]}
+     * @returns {string[]} resolved names of the generated fields, e.g. ['title', 'user[address][city]', 'tags[]']
+     *
+     * @throws {Error} If container is not a valid DOM element
+     * @throws {Error} If data is null or not an object
+     * @throws {Error} If schema is not an object
+     */
+    generateFields(container, data = {}, schema = null) {
+        if(!container || !container.nodeType) {
+            throw new Error('Container must be a valid DOM element');
+        }
+        if(typeof data !== 'object' || data === null) {
+            throw new Error('Data must be a non-null object');
+        }
+        if(schema !== null && typeof schema !== 'object') {
+            throw new Error('Schema must be an object');
+        }
+        return this._withShadowHosts(() => {
+            const target = this._generateTarget(container);
+            const state = {container, bindings: this._collectBindings(container), generated: []};
+            this._generateProperties(target, [], data, schema || {}, state, false);
+            return state.generated;
+        });
+    },
+
+    /**
+     * Element generated controls are appended to: the [data-fp-generate] element inside container, or container
+     *
+     * @param {HTMLElement} container
+     * @returns {HTMLElement}
+     * @private
+     */
+    _generateTarget(container) {
+        return this._queryAll(container, '[data-fp-generate]').find(el => this._isInScope(container, el)) || container;
+    },
+
+    /**
+     * Generates the properties of an object schema (plus keys only data has) under path
+     *
+     * @param {HTMLElement} parent element to append to
+     * @param {string[]} path
+     * @param {*} value data at path
+     * @param {object} schema
+     * @param {object} state {container, bindings, generated}, see generateFields()
+     * @param {boolean} inTemplate building a repeater row template: no lookup, no ids
+     * @private
+     */
+    _generateProperties(parent, path, value, schema, state, inTemplate) {
+        const properties = schema.properties || {};
+        const values = this._isNestable(value) && !Array.isArray(value) ? value : {};
+        const required = Array.isArray(schema.required) ? schema.required : [];
+        const keys = Object.keys(properties).concat(Object.keys(values).filter(key => !properties.hasOwnProperty(key)));
+        for(const key of keys) {
+            const fieldSchema = properties[key] || this._inferSchema(values[key]);
+            this._generateField(parent, path.concat(key), values[key], fieldSchema, required.includes(key), state, inTemplate);
+        }
+    },
+
+    /**
+     * Generates the control, fieldset or list for one path unless an element (or binding) already shows it
+     *
+     * @param {HTMLElement} parent
+     * @param {string[]} path
+     * @param {*} value
+     * @param {object} schema
+     * @param {boolean} required
+     * @param {object} state see generateFields()
+     * @param {boolean} inTemplate see _generateProperties()
+     * @private
+     */
+    _generateField(parent, path, value, schema, required, state, inTemplate) {
+        const name = this._pathToName(path);
+        if(!inTemplate) {
+            const names = [name, path.join('.')];
+            if(this._isBound(name, state) || names.some(candidate => this._findElementsByNameOrId(state.container, candidate).length > 0 ||
+                this._findElementsByNameOrId(state.container, candidate + '[]').length > 0)) {
+                return;
+            }
+        }
+        const ownerDocument = state.container.ownerDocument;
+        const label = schema.title || this._humanize(path[path.length - 1]);
+        const type = schema.type || (schema.properties ? 'object' : schema.items ? 'array' : 'string');
+
+        if(type === 'object') {
+            // Only shown if some property was missing
+            const fieldset = this._generateFieldset(label, ownerDocument);
+            this._generateProperties(fieldset, path, value, schema, state, inTemplate);
+            if(fieldset.children.length > 1) {
+                parent.appendChild(fieldset);
+            }
+            return;
+        }
+
+        let element;
+        if(type === 'array') {
+            const items = schema.items || this._inferSchema(Array.isArray(value) ? value.find(item => item != null) : undefined);
+            element = this._generateArray(name, label, value, items, state, inTemplate);
+        } else {
+            const control = this._generateControl(name, schema, required, ownerDocument);
+            element = this._generateWrapper(control, label, state, inTemplate);
+            if(!inTemplate) {
+                state.generated.push(name);
+            }
+        }
+        parent.appendChild(element);
+    },
+
+    /**
+     * Generates an array field: repeater for objects, multiple select for enum items, list of name[] inputs otherwise
+     *
+     * @param {string} name
+     * @param {string} label
+     * @param {*} value
+     * @param {object} items schema of the items
+     * @param {object} state see generateFields()
+     * @param {boolean} inTemplate see _generateProperties()
+     * @returns {HTMLElement}
+     * @private
+     */
+    _generateArray(name, label, value, items, state, inTemplate) {
+        const ownerDocument = state.container.ownerDocument;
+        if(items.enum) {
+            const select = this._generateControl(name + '[]', {type: 'array', enum: items.enum}, false, ownerDocument);
+            if(!inTemplate) {
+                state.generated.push(name + '[]');
+            }
+            return this._generateWrapper(select, label, state, inTemplate);
+        }
+
+        const fieldset = this._generateFieldset(label, ownerDocument);
+        if(items.type === 'object' || (!items.type && items.properties)) {
+            const repeater = ownerDocument.createElement('div');
+            repeater.setAttribute('data-fp-repeater', name);
+            const template = ownerDocument.createElement('template');
+            const row = ownerDocument.createElement('div');
+            row.className = 'fp-row';
+            this._generateProperties(row, [], {}, items, state, true);
+            template.content.appendChild(row);
+            repeater.appendChild(template);
+            fieldset.appendChild(repeater);
+            if(!inTemplate) {
+                state.generated.push(name);
+            }
+            return fieldset;
+        }
+
+        const list = ownerDocument.createElement('ul');
+        const count = Array.isArray(value) ? value.length : 0;
+        for(let i = 0; i < count; i++) {
+            const control = this._generateControl(name + '[]', items, false, ownerDocument);
+            control.setAttribute('aria-label', `${label} ${i + 1}`);
+            const item = ownerDocument.createElement('li');
+            item.appendChild(control);
+            list.appendChild(item);
+        }
+        fieldset.appendChild(list);
+        if(!inTemplate && count > 0) {
+            state.generated.push(name + '[]');
+        }
+        return fieldset;
+    },
+
+    /**
+     * Creates the bare control for a primitive or enum schema; number/integer/boolean get data-fp-type so getValues() reads them typed
+     *
+     * @param {string} name
+     * @param {object} schema an array schema with enum gives a multiple select
+     * @param {boolean} required
+     * @param {Document} ownerDocument
+     * @returns {HTMLElement}
+     * @private
+     */
+    _generateControl(name, schema, required, ownerDocument) {
+        let control;
+        if(Array.isArray(schema.enum)) {
+            control = ownerDocument.createElement('select');
+            control.multiple = schema.type === 'array';
+            if(!required && !control.multiple) {
+                control.appendChild(this._createOption({value: '', label: '', disabled: false, group: null}, ownerDocument));
+            }
+            for(const option of schema.enum) {
+                control.appendChild(this._createOption(this._normalizeOption(option), ownerDocument));
+            }
+        } else {
+            control = ownerDocument.createElement('input');
+            switch(schema.type) {
+                case 'boolean':
+                    control.type = 'checkbox';
+                    control.value = '1';
+                    control.setAttribute('data-fp-type', 'boolean');
+                    break;
+                case 'number':
+                case 'integer':
+                    control.type = 'number';
+                    control.step = schema.type === 'integer' ? '1' : 'any';
+                    control.setAttribute('data-fp-type', schema.type);
+                    if(schema.minimum !== undefined) {
+                        control.min = schema.minimum;
+                    }
+                    if(schema.maximum !== undefined) {
+                        control.max = schema.maximum;
+                    }
+                    break;
+                default: {
+                    const types = {'date': 'date', 'date-time': 'datetime-local', 'time': 'time', 'email': 'email', 'uri': 'url'};
+                    control.type = types[schema.format] || 'text';
+                    if(schema.maxLength !== undefined) {
+                        control.maxLength = schema.maxLength;
+                    }
+                }
+            }
+        }
+        control.name = name;
+        if(required && schema.type !== 'boolean') {
+            control.required = true;
+        }
+        return control;
+    },
+
+    /**
+     * Wraps a control with its label: <label for=id> and a unique id, or, inside row templates, a wrapping <label>
+     *
+     * @param {HTMLElement} control
+     * @param {string} label
+     * @param {object} state see generateFields()
+     * @param {boolean} inTemplate see _generateProperties()
+     * @returns {HTMLElement} div.fp-field[data-fp-generated]
+     * @private
+     */
+    _generateWrapper(control, label, state, inTemplate) {
+        const ownerDocument = control.ownerDocument;
+        const wrapper = ownerDocument.createElement('div');
+        wrapper.className = 'fp-field';
+        wrapper.setAttribute('data-fp-generated', '');
+        const labelElement = ownerDocument.createElement('label');
+        labelElement.textContent = label;
+        if(inTemplate) {
+            // Rows are cloned, ids would repeat
+            labelElement.append(' ', control);
+            wrapper.appendChild(labelElement);
+        } else {
+            control.id = this._generateId(state.container, control.name);
+            labelElement.htmlFor = control.id;
+            wrapper.append(labelElement, control);
+        }
+        return wrapper;
+    },
+
+    /**
+     * Creates a fieldset[data-fp-generated] with its legend
+     *
+     * @param {string} label
+     * @param {Document} ownerDocument
+     * @returns {HTMLFieldSetElement}
+     * @private
+     */
+    _generateFieldset(label, ownerDocument) {
+        const fieldset = ownerDocument.createElement('fieldset');
+        fieldset.setAttribute('data-fp-generated', '');
+        const legend = ownerDocument.createElement('legend');
+        legend.textContent = label;
+        fieldset.appendChild(legend);
+        return fieldset;
+    },
+
+    /**
+     * Returns an id from name not used in container or its document: user[address][city] → fp-user-address-city(-2...)
+     *
+     * @param {HTMLElement} container
+     * @param {string} name
+     * @returns {string}
+     * @private
+     */
+    _generateId(container, name) {
+        const base = 'fp-' + name.replace(/[^A-Za-z0-9_-]+/g, '-').replace(/-+$/, '');
+        const taken = id => this._queryAll(container, `#${this._cssEscape(id)}`).length > 0 ||
+            (container.ownerDocument && container.ownerDocument.getElementById(id) !== null);
+        let id = base;
+        for(let i = 2; taken(id); i++) {
+            id = `${base}-${i}`;
+        }
+        return id;
+    },
+
+    /**
+     * Infers a schema from a value: booleans, integers/numbers, ISO date and local date-time strings, Dates, arrays and objects
+     *
+     * @param {*} value
+     * @returns {object}
+     * @private
+     */
+    _inferSchema(value) {
+        if(Array.isArray(value)) {
+            return {type: 'array', items: this._inferSchema(value.find(item => item != null))};
+        }
+        if(value instanceof Date) {
+            return {type: 'string', format: 'date-time'};
+        }
+        if(this._isNestable(value)) {
+            const properties = {};
+            for(const key of Object.keys(value)) {
+                properties[key] = this._inferSchema(value[key]);
+            }
+            return {type: 'object', properties};
+        }
+        if(typeof value === 'boolean') {
+            return {type: 'boolean'};
+        }
+        if(typeof value === 'number') {
+            return {type: Number.isInteger(value) ? 'integer' : 'number'};
+        }
+        if(typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            return {type: 'string', format: 'date'};
+        }
+        // Only local date-times, a datetime-local input cannot show a zone (pass a Date for those)
+        if(typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(value)) {
+            return {type: 'string', format: 'date-time'};
+        }
+        return {type: 'string'};
+    },
+
+    /**
+     * Turns a key into a label: first_name, firstName → First name
+     *
+     * @param {string} key
+     * @returns {string}
+     * @private
+     */
+    _humanize(key) {
+        const words = String(key).replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/[_\-.]+/g, ' ').trim().toLowerCase();
+        return words.charAt(0).toUpperCase() + words.slice(1);
+    },
+
+    /**
+     * Shows server-side validation errors on the fields found by name/id, like populate(): {field: ['message'] | 'message'},
+     * nested objects resolving to user[email] or user.email names. Each field gets aria-invalid="true", setCustomValidity()
+     * and the error class. Messages are rendered as text into [data-fp-error-for="name"] inside container, or into a generated
+     * element after the field (after its <label> if inside one) linked by aria-describedby.
+     *
+     * @param {HTMLElement} container
+     * @param {object} errors
+     * @param {object} options
+     * @param {string} options.errorClass class for invalid fields, default 'is-invalid'
+     * @param {boolean} options.clear clearErrors() first, default true
+     * @param {boolean} options.focus focus the first invalid field, default false
+     * @returns {{applied: string[], missing: string[]}} resolved names shown, and names without field (e.g. base errors)
+     *
+     * @throws {Error} If container is not a valid DOM element
+     * @throws {Error} If errors is null or not an object
+     */
+    setErrors(container, errors, options = {}) {
+        if(!container || !container.nodeType) {
+            throw new Error('Container must be a valid DOM element');
+        }
+        if(typeof errors !== 'object' || errors === null) {
+            throw new Error('Errors must be a non-null object');
+        }
+        if(options.clear !== false) {
+            this.clearErrors(container);
+        }
+        const errorClass = options.errorClass || 'is-invalid';
+        const result = {applied: [], missing: []};
+        this._withShadowHosts(() => this._setErrorsAt(container, [], errors, errorClass, result));
+
+        if(options.focus === true && result.applied.length > 0) {
+            const first = this._errors.get(container).find(entry => entry.key === result.applied[0]);
+            if(first && typeof first.elements[0].focus === 'function') {
+                first.elements[0].focus();
+            }
+        }
+        return result;
+    },
+
+    /**
+     * Resolves the keys of errors under path to fields (bracket, then dotted names) and shows their messages
+     *
+     * @param {HTMLElement} container
+     * @param {string[]} path - Keys leading to errors, [] at the top
+     * @param {object|Array} errors
+     * @param {string} errorClass
+     * @param {{applied: string[], missing: string[]}} result
+     * @private
+     */
+    _setErrorsAt(container, path, errors, errorClass, result) {
+        for(const key of Object.keys(errors)) {
+            const childPath = path.concat(key);
+            const value = errors[key];
+            const names = path.length === 0 ? [key] : [this._pathToName(childPath), childPath.join('.')];
+            const isMessages = typeof value === 'string' || (Array.isArray(value) && value.every(item => typeof item === 'string'));
+
+            let shown = false;
+            if(isMessages) {
+                for(const name of names) {
+                    const elements = this._findElementsByNameOrId(container, name);
+                    if(elements.length > 0) {
+                        this._showError(container, name, elements, [].concat(value), errorClass);
+                        result.applied.push(name);
+                        shown = true;
+                        break;
+                    }
+                }
+            }
+            if(shown) {
+                continue;
+            }
+            if(!isMessages && typeof value === 'object' && value !== null) {
+                this._setErrorsAt(container, childPath, value, errorClass, result);
+            } else {
+                result.missing.push(names[0]);
+            }
+        }
+    },
+
+    /**
+     * Marks the elements of one field invalid and renders its messages
+     *
+     * @param {HTMLElement} container
+     * @param {string} name - Resolved field name
+     * @param {HTMLElement[]} elements - Elements of the field (several for checkbox/radio groups)
+     * @param {string[]} messages
+     * @param {string} errorClass
+     * @private
+     */
+    _showError(container, name, elements, messages, errorClass) {
+        let companion = this._queryAll(container, `[data-fp-error-for="${this._cssEscape(name)}"]`)[0] || null;
+        const generated = companion === null;
+        if(generated) {
+            companion = elements[0].ownerDocument.createElement('div');
+            companion.className = 'fp-error';
+            companion.setAttribute('data-fp-error-for', name);
+            const last = elements[elements.length - 1];
+            const anchor = last.parentElement && last.parentElement.tagName.toLowerCase() === 'label' ? last.parentElement : last;
+            anchor.after(companion);
+        }
+        if(!companion.id) {
+            companion.id = `fp-error-${++this._errorIdCounter}`;
+        }
+        const wasHidden = companion.hidden;
+        companion.textContent = messages.join(' ');
+        companion.hidden = false;
+
+        // Only the class added here is removed again, a class attribute created for it goes too
+        const classAdded = [];
+        const classless = [];
+        for(const element of elements) {
+            element.setAttribute('aria-invalid', 'true');
+            if(!element.classList.contains(errorClass)) {
+                classAdded.push(element);
+                if(!element.hasAttribute('class')) {
+                    classless.push(element);
+                }
+                element.classList.add(errorClass);
+            }
+            const describedBy = (element.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+            if(!describedBy.includes(companion.id)) {
+                element.setAttribute('aria-describedby', describedBy.concat(companion.id).join(' '));
+            }
+            if(typeof element.setCustomValidity === 'function') {
+                element.setCustomValidity(messages.join(' '));
+            }
+        }
+
+        const entries = this._errors.get(container) || [];
+        entries.push({key: name, elements, companion, generated, wasHidden, errorClass, classAdded, classless});
+        this._errors.set(container, entries);
+    },
+
+    /**
+     * Removes errors shown by setErrors(): aria-invalid, custom validity, error class and aria-describedby link;
+     * generated message elements are removed, [data-fp-error-for] ones emptied (and hidden again if they were)
+     *
+     * @param {HTMLElement} container
+     * @param {array|null} keys resolved names to clear (as in setErrors() applied), null clears all
+     *
+     * @throws {Error} If container is not a valid DOM element
+     */
+    clearErrors(container, keys = null) {
+        if(!container || !container.nodeType) {
+            throw new Error('Container must be a valid DOM element');
+        }
+        const entries = this._errors.get(container) || [];
+        const remaining = [];
+        for(const entry of entries) {
+            if(keys !== null && !keys.includes(entry.key)) {
+                remaining.push(entry);
+                continue;
+            }
+            for(const element of entry.elements) {
+                element.removeAttribute('aria-invalid');
+                if(entry.classAdded.includes(element)) {
+                    element.classList.remove(entry.errorClass);
+                    if(entry.classless.includes(element) && element.getAttribute('class') === '') {
+                        element.removeAttribute('class');
+                    }
+                }
+                const describedBy = (element.getAttribute('aria-describedby') || '').split(/\s+/)
+                    .filter(id => id && id !== entry.companion.id);
+                if(describedBy.length > 0) {
+                    element.setAttribute('aria-describedby', describedBy.join(' '));
+                } else {
+                    element.removeAttribute('aria-describedby');
+                }
+                if(typeof element.setCustomValidity === 'function') {
+                    element.setCustomValidity('');
+                }
+            }
+            if(entry.generated) {
+                entry.companion.remove();
+            } else {
+                entry.companion.textContent = '';
+                entry.companion.hidden = entry.wasHidden;
+            }
+        }
+        this._errors.set(container, remaining);
+    },
+
+    /**
+     * Autosaves a draft of container to storage on input/change (debounced) and on pagehide, read like getValues(container, null)
+     * without password, file and [data-fp-nosave] fields, unchecked checkbox groups stored as []. A stored draft is restored through populate() right away, or handed to
+     * options.onDraft to let the user decide. Drafts older than maxAge are discarded, a <form> container's draft is removed on submit.
+     *
+     * @param {HTMLElement} container
+     * @param {object} options
+     * @param {string} options.key storage key, default 'fp-draft:' + location.pathname + ':' + container id or name
+     * @param {Storage} options.storage default localStorage, e.g. sessionStorage or any {getItem, setItem, removeItem}
+     * @param {number} options.debounce ms after the last input before saving, default 500
+     * @param {number} options.maxAge ms a draft stays valid, default 7 days
+     * @param {string} options.exclude selector for more fields not to save
+     * @param {function} options.onDraft ({values, savedAt, restore(), discard()}) when a draft exists, instead of restoring it
+     * @param {object} options.populate populate() options for restoring, e.g. {dispatchEvents: true}
+     * @param {boolean} options.clearOnSubmit remove the draft when a <form> container is submitted, default true
+     * @returns {{save: function(), restore: function(): boolean, discard: function(), stop: function()}}
+     *
+     * @throws {Error} If container is not a valid DOM element
+     * @throws {Error} If no storage is available
+     */
+    autosave(container, options = {}) {
+        if(!container || !container.nodeType) {
+            throw new Error('Container must be a valid DOM element');
+        }
+        const storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        if(!storage || typeof storage.getItem !== 'function') {
+            throw new Error('Autosave needs a storage with getItem(), setItem() and removeItem()');
+        }
+        const key = options.key || `fp-draft:${typeof location !== 'undefined' ? location.pathname : ''}:` +
+            (container.id || (container.getAttribute && container.getAttribute('name')) || '');
+        const delay = options.debounce ?? 500;
+        const maxAge = options.maxAge ?? 7 * 24 * 60 * 60 * 1000;
+        const exclude = '[type="password"], [type="file"], [data-fp-nosave]' + (options.exclude ? ', ' + options.exclude : '');
+        const isForm = container.tagName && container.tagName.toLowerCase() === 'form';
+        let timer = null;
+
+        const read = () => {
+            let draft = null;
+            try {
+                draft = JSON.parse(storage.getItem(key));
+            } catch(error) {
+                console.warn(`FormPopulator: Discarding unreadable draft '${key}'`, error);
+            }
+            if(draft && (typeof draft.savedAt !== 'number' || Date.now() - draft.savedAt > maxAge || typeof draft.values !== 'object')) {
+                draft = null; // expired or foreign
+            }
+            if(!draft) {
+                storage.removeItem(key);
+            }
+            return draft;
+        };
+        const save = () => {
+            clearTimeout(timer);
+            timer = null;
+            const accept = element => !element.matches(exclude);
+            const values = this._serialize(container, 'object', false, null, accept);
+            this._assignUnchecked(container, values, accept);
+            try {
+                storage.setItem(key, JSON.stringify({savedAt: Date.now(), values}));
+            } catch(error) {
+                console.warn(`FormPopulator: Could not save draft '${key}'`, error);
+            }
+        };
+        const restore = () => {
+            const draft = read();
+            if(!draft) {
+                return false;
+            }
+            this.populate(container, draft.values, Object.assign({onMissing: 'ignore'}, options.populate || {}));
+            return true;
+        };
+        const discard = () => {
+            clearTimeout(timer);
+            timer = null;
+            storage.removeItem(key);
+        };
+        const onInput = () => {
+            clearTimeout(timer);
+            timer = setTimeout(save, delay);
+        };
+        const onPageHide = () => {
+            if(timer !== null) {
+                save(); // pending edits
+            }
+        };
+        const onSubmit = () => {
+            if(options.clearOnSubmit !== false) {
+                discard();
+            }
+        };
+
+        container.addEventListener('input', onInput, true);
+        container.addEventListener('change', onInput, true);
+        if(isForm) {
+            container.addEventListener('submit', onSubmit);
+        }
+        if(typeof window !== 'undefined') {
+            window.addEventListener('pagehide', onPageHide);
+        }
+
+        const draft = read();
+        if(draft && typeof options.onDraft === 'function') {
+            options.onDraft({values: draft.values, savedAt: new Date(draft.savedAt), restore, discard});
+        } else if(draft) {
+            restore();
+        }
+
+        return {
+            save,
+            restore,
+            discard,
+            stop() {
+                clearTimeout(timer);
+                timer = null;
+                container.removeEventListener('input', onInput, true);
+                container.removeEventListener('change', onInput, true);
+                container.removeEventListener('submit', onSubmit);
+                if(typeof window !== 'undefined') {
+                    window.removeEventListener('pagehide', onPageHide);
+                }
+            }
+        };
+    },
+
+    /**
+     * Two-way binds model and container: returns a Proxy of model where assigning a property (also nested, e.g.
+     * state.user.city = 'x' or state.items.push(...)) repopulates its top-level key, and input/change events in
+     * container (native, TomSelect, AutoNumeric, flatpickr; Selectize and Chosen through jQuery) write back to model.
+     * model is populated into container right away and kept as the Proxy's target.
+     *
+     * The Proxy also has subscribe(fn) → unsubscribe, fn(key, value, source 'model'|'dom'), and unbind() to remove all listeners.
+     *
+     * @param {HTMLElement} container
+     * @param {object} model
+     * @param {object} options
+     * @param {object} options.attributes populate() attributes per key
+     * @param {boolean} options.sanitizeHtml populate() sanitizeHtml, default true
+     * @param {string} options.onMissing populate() onMissing, default 'warn'
+     * @param {function} options.onError populate() onError
+     * @param {boolean} options.typed read DOM changes with getValues() typed mode
+     * @param {string} options.dates getValues() dates, with typed
+     * @returns {Proxy} reactive model
+     *
+     * @throws {Error} If container is not a valid DOM element
+     * @throws {Error} If model is not an object or has a subscribe or unbind key
+     */
+    bind(container, model, options = {}) {
+        if(!container || !container.nodeType) {
+            throw new Error('Container must be a valid DOM element');
+        }
+        if(typeof model !== 'object' || model === null) {
+            throw new Error('Model must be a non-null object');
+        }
+        if(model.hasOwnProperty('subscribe') || model.hasOwnProperty('unbind')) {
+            throw new Error('Model keys subscribe and unbind are reserved by bind()');
+        }
+
+        const self = this;
+        const subscribers = new Set();
+        const proxies = new WeakMap();
+        const populateOptions = {onMissing: options.onMissing || 'warn', onError: options.onError};
+        const valueOptions = {typed: options.typed === true, dates: options.dates};
+        let bound = true;
+        let populating = false;
+
+        const notify = (key, value, source) => {
+            for(const subscriber of subscribers) {
+                subscriber(key, value, source);
+            }
+        };
+        const render = data => {
+            populating = true;
+            try {
+                self.populate(container, data, options.attributes || {}, options.sanitizeHtml !== false, populateOptions);
+            } finally {
+                populating = false;
+            }
+        };
+        // Nested objects/arrays get their own Proxy, a change repopulates the top-level key they belong to
+        const wrap = (value, rootKey) => {
+            if(typeof value !== 'object' || value === null || !self._isNestable(value)) {
+                return value;
+            }
+            if(!proxies.has(value)) {
+                proxies.set(value, new Proxy(value, handler(rootKey)));
+            }
+            return proxies.get(value);
+        };
+        const handler = rootKey => ({
+            get(target, property, receiver) {
+                if(rootKey === null) {
+                    if(property === 'subscribe') {
+                        return fn => {
+                            subscribers.add(fn);
+                            return () => subscribers.delete(fn);
+                        };
+                    }
+                    if(property === 'unbind') {
+                        return unbind;
+                    }
+                }
+                const value = Reflect.get(target, property, receiver);
+                return typeof property === 'symbol' ? value : wrap(value, rootKey === null ? property : rootKey);
+            },
+            set(target, property, value, receiver) {
+                Reflect.set(target, property, value, receiver);
+                const key = rootKey === null ? property : rootKey;
+                if(bound && typeof key === 'string') {
+                    render({[key]: model[key]});
+                    notify(key, model[key], 'model');
+                }
+                return true;
+            },
+            deleteProperty(target, property) {
+                Reflect.deleteProperty(target, property);
+                const key = rootKey === null ? property : rootKey;
+                if(bound && typeof key === 'string') {
+                    render({[key]: rootKey === null ? null : model[key]});
+                    notify(key, model[key], 'model');
+                }
+                return true;
+            }
+        });
+
+        const onChange = event => {
+            if(populating) {
+                return;
+            }
+            // Walk up from the original target: inside shadow roots event.target is retargeted to the host
+            let key = null;
+            for(const node of event.composedPath ? event.composedPath() : [event.target]) {
+                if(node === container) {
+                    break;
+                }
+                if(node.nodeType !== 1) {
+                    continue; // shadow roots
+                }
+                key = self._bindKeyFor(container, node, model);
+                if(key !== null) {
+                    break;
+                }
+            }
+            if(key === null) {
+                return; // not a model field, e.g. a widget's own search box
+            }
+            const value = self.getValues(container, [key], valueOptions)[key];
+            if(JSON.stringify(value) !== JSON.stringify(model[key])) {
+                model[key] = value;
+                notify(key, value, 'dom');
+            }
+        };
+        // Capture: sees events that do not bubble too
+        container.addEventListener('input', onChange, true);
+        container.addEventListener('change', onChange, true);
+        // Selectize and Chosen announce user changes with jQuery-only events
+        const $container = typeof window !== 'undefined' && window.jQuery ? window.jQuery(container) : null;
+        if($container) {
+            $container.on('change.formPopulatorBind', onChange);
+        }
+
+        function unbind() {
+            bound = false;
+            subscribers.clear();
+            container.removeEventListener('input', onChange, true);
+            container.removeEventListener('change', onChange, true);
+            if($container) {
+                $container.off('change.formPopulatorBind');
+            }
+        }
+
+        render(model);
+        return new Proxy(model, handler(null));
+    },
+
+    /**
+     * Returns the top-level model key a changed element belongs to, or null when unknown
+     *
+     * @param {HTMLElement} container
+     * @param {HTMLElement} element
+     * @param {object} model
+     * @returns {string|null}
+     * @private
+     */
+    _bindKeyFor(container, element, model) {
+        // Fields inside repeater rows belong to the outermost repeater inside container
+        let repeaterKey = null;
+        let repeater = element.closest('[data-fp-repeater]');
+        while(repeater && repeater !== container && container.contains(repeater)) {
+            repeaterKey = repeater.getAttribute('data-fp-repeater');
+            repeater = repeater.parentElement ? repeater.parentElement.closest('[data-fp-repeater]') : null;
+        }
+        const candidates = repeaterKey !== null ? [repeaterKey] :
+            [element.getAttribute('name') ? this._nameToPath(element.getAttribute('name'))[0] : null, element.id || null];
+        for(const candidate of candidates) {
+            if(candidate !== null && model.hasOwnProperty(candidate)) {
+                return candidate;
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Named formatters for data-fp-format="name:arg", called as (value, arg, locale) with a non-empty value
+     *
+     * @type {Object<string, function(*, string|undefined, string|undefined): string>}
+     * @private
+     */
+    _formatters: {
+        currency(value, arg, locale) {
+            return new Intl.NumberFormat(locale, {style: 'currency', currency: arg || 'USD'}).format(Number(value));
+        },
+        number(value, arg, locale) {
+            const digits = arg === undefined ? undefined : parseInt(arg, 10);
+            return new Intl.NumberFormat(locale, {minimumFractionDigits: digits, maximumFractionDigits: digits}).format(Number(value));
+        },
+        percent(value, arg, locale) {
+            const digits = arg === undefined ? 0 : parseInt(arg, 10);
+            return new Intl.NumberFormat(locale, {style: 'percent', maximumFractionDigits: digits}).format(Number(value));
+        },
+        date(value, arg, locale) {
+            return new Intl.DateTimeFormat(locale, {dateStyle: arg || 'medium'}).format(FormPopulator._toDate(value));
+        },
+        datetime(value, arg, locale) {
+            return new Intl.DateTimeFormat(locale, {dateStyle: arg || 'medium', timeStyle: arg || 'short'}).format(FormPopulator._toDate(value));
+        },
+        time(value, arg, locale) {
+            return new Intl.DateTimeFormat(locale, {timeStyle: arg || 'short'}).format(FormPopulator._toDate(value));
+        }
+    },
+
+    /**
+     * Adds (or replaces) a named formatter for data-fp-format="name:arg"
+     *
+     * @param {string} name
+     * @param {function(*, string|undefined, string|undefined): string} formatter (value, arg, locale), value is never null/''
+     *
+     * @throws {Error} If name is empty or formatter is not a function
+     */
+    registerFormatter(name, formatter) {
+        if(typeof name !== 'string' || !name || typeof formatter !== 'function') {
+            throw new Error('Formatter needs a name and a function');
+        }
+        this._formatters[name] = formatter;
+    },
+
+    /**
+     * Formats value with a data-fp-format spec ("currency:EUR", "date:short"), in the element's locale.
+     * null/undefined/'' format to ''.
+     *
+     * @param {*} value
+     * @param {string} spec
+     * @param {HTMLElement} element
+     * @returns {string|string[]}
+     * @private
+     */
+    _formatValue(value, spec, element) {
+        if(Array.isArray(value)) {
+            return value.map(item => this._formatValue(item, spec, element));
+        }
+        if(value === null || value === undefined || value === '') {
+            return '';
+        }
+        const separator = spec.indexOf(':');
+        const name = separator === -1 ? spec.trim() : spec.slice(0, separator).trim();
+        const arg = separator === -1 ? undefined : spec.slice(separator + 1).trim();
+        if(!this._formatters.hasOwnProperty(name)) {
+            throw new Error(`Unknown formatter '${name}'`);
+        }
+        return this._formatters[name](value, arg, this._localeFor(element));
+    },
+
+    /**
+     * Locale for Intl: closest data-fp-locale, then closest lang, else the browser default (undefined)
+     *
+     * @param {HTMLElement} element
+     * @returns {string|undefined}
+     * @private
+     */
+    _localeFor(element) {
+        const localized = element.closest('[data-fp-locale]');
+        if(localized) {
+            return localized.getAttribute('data-fp-locale');
+        }
+        const lang = element.closest('[lang]');
+        return lang && lang.getAttribute('lang') ? lang.getAttribute('lang') : undefined;
+    },
+
+    /**
+     * Formats a number for a data-fp-number input in its locale. data-fp-number: '' (all decimals), '2' (fixed decimals),
+     * 'currency:EUR' or 'percent[:digits]' (0.25 → 25 %). Non-numeric values are written as given.
+     *
+     * @param {number|string} value
+     * @param {HTMLInputElement} element
+     * @returns {string}
+     * @private
+     */
+    _formatLocaleNumber(value, element) {
+        const number = Number(value);
+        if(value === '' || Number.isNaN(number)) {
+            return String(value);
+        }
+        const spec = element.getAttribute('data-fp-number').trim();
+        if(/^\d+$/.test(spec)) {
+            return this._formatValue(number, `number:${spec}`, element);
+        }
+        if(spec !== '') {
+            return this._formatValue(number, spec, element);
+        }
+        return new Intl.NumberFormat(this._localeFor(element), {maximumFractionDigits: 20}).format(number);
+    },
+
+    /**
+     * Parses a number typed in the input's locale (1.234,56 in de, 1 234,56 in fr) to a canonical string ('1234.56'),
+     * percent inputs back to the fraction. Besides digits, only the locale's group and decimal separators (groups where
+     * the locale puts them), a sign or parentheses, spaces, the percent sign and the currency's symbol or code are allowed.
+     *
+     * @param {string} text
+     * @param {HTMLInputElement} element
+     * @returns {string|null} null if text is not a number in that locale (12abc, 1e5, 1234.56 in de)
+     * @private
+     */
+    _parseLocaleNumber(text, element) {
+        const locale = this._localeFor(element);
+        const spec = element.getAttribute('data-fp-number').trim();
+        const parts = new Intl.NumberFormat(locale).formatToParts(-1234.5);
+        const part = type => (parts.find(item => item.type === type) || {}).value;
+        const group = part('group');
+        const decimal = part('decimal') || '.';
+        const percent = /^percent\b/.test(spec);
+        const symbols = [];
+        if(percent) {
+            const sign = new Intl.NumberFormat(locale, {style: 'percent'}).formatToParts(1).find(item => item.type === 'percentSign');
+            symbols.push('%', sign ? sign.value : '%');
+        }
+        const currency = /^currency:\s*(\w+)/.exec(spec);
+        if(currency) {
+            const code = currency[1].toUpperCase();
+            const symbol = new Intl.NumberFormat(locale, {style: 'currency', currency: code}).formatToParts(1)
+                .find(item => item.type === 'currency');
+            symbols.push(code, symbol ? symbol.value : code);
+        }
+        let normalized = text.trim();
+        for(const symbol of symbols) {
+            normalized = normalized.split(symbol).join(' ');
+        }
+        if(group && /\s/.test(group)) {
+            // Space-like group separators (fr: U+202F) also match the spaces people type, before each three digits
+            normalized = normalized.replace(/(\d)\s(?=\d{3}(?!\d))/g, '$1');
+        }
+        if(/\d\s+\d/.test(normalized)) {
+            return null;
+        }
+        const minus = part('minusSign');
+        if(minus && minus !== '-') {
+            normalized = normalized.split(minus).join('-');
+        }
+        const match = /^(\(?)([-−+]?)([^()+\-−]+)([-−]?)(\)?)$/.exec(normalized.replace(/\s+/g, ''));
+        if(!match || match[1] !== (match[5] ? '(' : '') || (match[2] && match[4]) || (match[1] && (match[2] || match[4]))) {
+            return null; // unbalanced parentheses, two signs
+        }
+        const [integer, fraction = '', extra] = match[3].split(decimal);
+        if(extra !== undefined || !/^\d*$/.test(fraction) || (integer === '' && fraction === '')) {
+            return null;
+        }
+        const groups = group ? integer.split(group) : [integer];
+        if(!groups.every(digits => /^\d*$/.test(digits)) || (groups.length > 1 && !this._isGrouped(groups))) {
+            return null;
+        }
+        const negative = match[1] === '(' || match[2] === '-' || match[2] === '−' || match[4] !== '';
+        let number = Number(`${groups.join('')}.${fraction}`.replace(/\.$/, '')) * (negative ? -1 : 1);
+        if(percent) {
+            number = parseFloat((number / 100).toPrecision(15));
+        }
+        return String(number);
+    },
+
+    /**
+     * Whether integer digits split at the group separator sit where a locale would put them: 1,234,567 or 12,34,567 (en-IN)
+     *
+     * @param {string[]} groups digits between group separators
+     * @returns {boolean}
+     * @private
+     */
+    _isGrouped(groups) {
+        const first = groups[0].length;
+        const last = groups[groups.length - 1].length;
+        const middle = groups.slice(1, -1).map(digits => digits.length);
+        const size = middle.length ? middle[0] : 3;
+        return last === 3 && first >= 1 && first <= size && middle.every(length => length === size) && (size === 3 || size === 2);
+    },
+
+    /**
+     * Numeric date (and time, for data-fp-date="datetime") formatter of the element's locale, 24-hour
+     *
+     * @param {HTMLInputElement} element
+     * @returns {Intl.DateTimeFormat}
+     * @private
+     */
+    _localeDateFormat(element) {
+        const options = {year: 'numeric', month: '2-digit', day: '2-digit'};
+        if(element.getAttribute('data-fp-date').trim() === 'datetime') {
+            Object.assign(options, {hour: '2-digit', minute: '2-digit', hourCycle: 'h23'});
+        }
+        return new Intl.DateTimeFormat(this._localeFor(element), options);
+    },
+
+    /**
+     * Formats a Date, timestamp or ISO string for a data-fp-date input: 01.05.2024 (de), 05/01/2024 (en-US).
+     * Invalid dates are written as given.
+     *
+     * @param {Date|string|number} value
+     * @param {HTMLInputElement} element
+     * @returns {string}
+     * @private
+     */
+    _formatLocaleDate(value, element) {
+        const date = this._toDate(value);
+        return Number.isNaN(date.getTime()) ? String(value) : this._localeDateFormat(element).format(date);
+    },
+
+    /**
+     * Parses a date typed in the input's locale order (day, month, year...) to '2024-05-01', or '2024-05-01T09:30' for datetime
+     *
+     * @param {string} text
+     * @param {HTMLInputElement} element
+     * @returns {string|null} null if text is not a valid date
+     * @private
+     */
+    _parseLocaleDate(text, element) {
+        const fields = ['year', 'month', 'day', 'hour', 'minute'];
+        const order = this._localeDateFormat(element).formatToParts(new Date(2001, 10, 22, 13, 44))
+            .map(part => part.type)
+            .filter(type => fields.includes(type));
+        const numbers = text.match(/\d+/g);
+        if(!numbers || numbers.length !== order.length) {
+            return null;
+        }
+        const parts = {hour: 0, minute: 0};
+        order.forEach((type, i) => {
+            parts[type] = Number(numbers[i]);
+        });
+        const date = new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+        if(date.getFullYear() !== parts.year || date.getMonth() !== parts.month - 1 || date.getDate() !== parts.day ||
+            date.getHours() !== parts.hour || date.getMinutes() !== parts.minute) {
+            return null; // 31.02., 25:00
+        }
+        const pad = n => String(n).padStart(2, '0');
+        const day = `${String(parts.year).padStart(4, '0')}-${pad(parts.month)}-${pad(parts.day)}`;
+        return order.includes('hour') ? `${day}T${pad(parts.hour)}:${pad(parts.minute)}` : day;
+    },
+
+    /**
+     * Converts a Date, timestamp or ISO string to Date; date-only strings (2024-02-29) as local midnight
+     *
+     * @param {Date|string|number} value
+     * @returns {Date}
+     * @private
+     */
+    _toDate(value) {
+        if(value instanceof Date) {
+            return value;
+        }
+        const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+        if(dateOnly) {
+            return new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]));
+        }
+        return new Date(value);
+    },
+
+    /**
+     * Finds data-fp-key/attr/class/show bindings inside container (not inside repeater rows)
+     *
+     * @param {HTMLElement} container
+     * @returns {{element: HTMLElement, kind: string, path: string, target: (string|null), format: (string|null), negate: boolean}[]}
+     * @private
+     */
+    _collectBindings(container) {
+        const bindings = [];
+        const selector = '[data-fp-key], [data-fp-attr], [data-fp-class], [data-fp-show]';
+        const elements = this._queryAll(container, selector);
+        if(container.matches && container.matches(selector)) {
+            elements.unshift(container);
+        }
+        for(const element of elements) {
+            if(element !== container && !this._isInScope(container, element)) {
+                continue;
+            }
+            // <thead> <th data-fp-key> name table columns, see _populateTable()
+            if(element.hasAttribute('data-fp-key') && !(element.tagName.toLowerCase() === 'th' && element.closest('thead'))) {
+                bindings.push({element, kind: 'key', path: element.getAttribute('data-fp-key').trim(), target: null, format: null, negate: false});
+            }
+            for(const [kind, attribute] of [['attr', 'data-fp-attr'], ['class', 'data-fp-class']]) {
+                if(!element.hasAttribute(attribute)) {
+                    continue;
+                }
+                // "href:profileUrl; title:user.name|date:short"
+                for(const entry of element.getAttribute(attribute).split(';')) {
+                    const separator = entry.indexOf(':');
+                    if(separator === -1) {
+                        continue;
+                    }
+                    const [path, format] = entry.slice(separator + 1).split('|');
+                    bindings.push({
+                        element, kind, path: path.trim(), target: entry.slice(0, separator).trim(),
+                        format: format ? format.trim() : null, negate: false
+                    });
+                }
+            }
+            if(element.hasAttribute('data-fp-show')) {
+                const path = element.getAttribute('data-fp-show').trim();
+                const negate = path.startsWith('!');
+                bindings.push({element, kind: 'show', path: negate ? path.slice(1).trim() : path, target: null, format: null, negate});
+            }
+        }
+        return bindings;
+    },
+
+    /**
+     * True if a binding shows name or one of its parents, e.g. data-fp-key="user.email" binds user[email]
+     *
+     * @param {string} name
+     * @param {object} run - Per-call state, see populate()
+     * @returns {boolean}
+     * @private
+     */
+    _isBound(name, run) {
+        if(run.bindings.length === 0) {
+            return false;
+        }
+        const path = this._nameToPath(name);
+        for(const binding of run.bindings) {
+            const bound = this._nameToPath(binding.path);
+            if(bound.length <= path.length && bound.every((segment, i) => segment === path[i])) {
+                return true;
+            }
+        }
+        return false;
+    },
+
+    /**
+     * Resolves a dotted or bracket path (user.email, items[0].sku) in data
+     *
+     * @param {object} data
+     * @param {string} path
+     * @returns {{found: boolean, value: *}}
+     * @private
+     */
+    _resolvePath(data, path) {
+        let node = data;
+        for(const segment of this._nameToPath(path)) {
+            if(node === null || typeof node !== 'object' || !Object.prototype.hasOwnProperty.call(node, segment)) {
+                return {found: false, value: undefined};
+            }
+            node = node[segment];
+        }
+        return {found: true, value: node};
+    },
+
+    /**
+     * Applies the data-fp-* bindings whose path is present in data; absent paths leave the element untouched.
+     * key: value/content like populate(), the label for <a> | attr: set, null/false removes, true presence-only | class: toggle | show: hidden = !value
+     *
+     * @param {object} data
+     * @param {object} run - Per-call state, see populate()
+     * @private
+     */
+    _applyBindings(data, run) {
+        for(const binding of run.bindings) {
+            const {found, value} = this._resolvePath(data, binding.path);
+            if(!found) {
+                continue;
+            }
+            try {
+                const element = binding.element;
+                this._record(element, run);
+                switch(binding.kind) {
+                    case 'key':
+                        if(element.tagName.toLowerCase() === 'a') {
+                            // The link's label, bind its href with data-fp-attr="href:..."
+                            const label = element.hasAttribute('data-fp-format') ?
+                                this._formatValue(value, element.getAttribute('data-fp-format'), element) : (value ?? '');
+                            if(run.sanitizeHtml) {
+                                element.textContent = label;
+                            } else {
+                                element.innerHTML = label;
+                            }
+                        } else {
+                            this._populateElements([element], value, null, run.sanitizeHtml, run);
+                        }
+                        break;
+                    case 'attr': {
+                        const attrValue = binding.format ? this._formatValue(value, binding.format, element) : value;
+                        if(attrValue === null || attrValue === undefined || attrValue === false) {
+                            element.removeAttribute(binding.target);
+                        } else {
+                            element.setAttribute(binding.target, attrValue === true ? '' : attrValue);
+                        }
+                        break;
+                    }
+                    case 'class':
+                        element.classList.toggle(binding.target, !!value);
+                        break;
+                    case 'show':
+                        element.hidden = binding.negate ? !!value : !value;
+                        break;
+                }
+            } catch(error) {
+                this._handleError(binding.path, error, run);
+            }
+        }
+    },
+
+    /**
+     * Appends a row to a repeater, cloned from its <template> (or [data-fp-row-template] prototype row), and populates it
+     *
+     * @param {HTMLElement} repeater element with data-fp-repeater="key"
+     * @param {object} data row values, keyed by the row fields' names
+     * @param {boolean} sanitizeHtml sets content with true: textContent, false: innerHTML
+     * @returns {HTMLElement} the new row, marked data-fp-row
+     *
+     * @throws {Error} If repeater is not a data-fp-repeater element or has no single-element template
+     */
+    addRow(repeater, data = {}, sanitizeHtml = true) {
+        if(!repeater || !repeater.nodeType || !repeater.hasAttribute('data-fp-repeater')) {
+            throw new Error('Repeater must be an element with data-fp-repeater');
+        }
+        const row = this._cloneRowTemplate(repeater);
+        repeater.appendChild(row);
+        this.populate(row, data, {}, sanitizeHtml, {onMissing: 'ignore'});
+        return row;
+    },
+
+    /**
+     * Removes a repeater row
+     *
+     * @param {HTMLElement} row the data-fp-row element, or any element inside it
+     *
+     * @throws {Error} If row is not inside a repeater row
+     */
+    removeRow(row) {
+        const rowElement = row && row.closest ? row.closest('[data-fp-row]') : null;
+        if(!rowElement) {
+            throw new Error('Row must be a data-fp-row element or inside one');
+        }
+        rowElement.remove();
+    },
+
+    /**
+     * Replaces the repeater rows with one fresh row per array item, so rows never keep values of a previous item
+     *
+     * @param {HTMLElement} repeater
+     * @param {Array|null} value array of row objects, null/'' removes every row
+     * @param {boolean} sanitizeHtml
+     * @param {object|null} run - Per-call state of populate(): errors in a row go to its report and onError as
+     *  key[index][field], so atomic populate rolls back; null: rows report like addRow()
+     * @private
+     */
+    _populateRepeater(repeater, value, sanitizeHtml, run = null) {
+        const name = repeater.getAttribute('data-fp-repeater');
+        const items = value === null || value === undefined || value === '' ? [] : value;
+        if(!Array.isArray(items) || items.some(item => typeof item !== 'object' || item === null)) {
+            throw new Error(`Repeater '${name}' expects an array of objects`);
+        }
+        for(const row of this._repeaterRows(repeater)) {
+            row.remove();
+        }
+        items.forEach((item, index) => {
+            if(!run) {
+                this.addRow(repeater, item, sanitizeHtml);
+                return;
+            }
+            const row = this._cloneRowTemplate(repeater);
+            repeater.appendChild(row);
+            this.populate(row, item, {}, sanitizeHtml, {
+                onMissing: 'ignore',
+                onError: (error, key) => this._handleError(`${name}[${index}][${key}]`, error, run)
+            });
+        });
+    },
+
+    /**
+     * Reads each repeater row, in DOM order, as an object of its named fields
+     *
+     * @param {HTMLElement} repeater
+     * @param {object|null|false} typing {dates} for typed values, null for strings, false for raw strings (no data-fp-type)
+     * @param {function|null} accept see _serialize()
+     * @returns {object[]}
+     * @private
+     */
+    _extractRepeater(repeater, typing, accept = null) {
+        return this._repeaterRows(repeater).map(row => this._serialize(row, 'object', false, typing, accept));
+    },
+
+    /**
+     * Returns the rows of a repeater: its data-fp-row children
+     *
+     * @param {HTMLElement} repeater
+     * @returns {HTMLElement[]}
+     * @private
+     */
+    _repeaterRows(repeater) {
+        return Array.from(repeater.children).filter(child => child.hasAttribute('data-fp-row'));
+    },
+
+    /**
+     * Clones a new row from the repeater's <template> child, or its [data-fp-row-template] prototype row
+     *
+     * @param {HTMLElement} repeater
+     * @returns {HTMLElement}
+     * @private
+     */
+    _cloneRowTemplate(repeater) {
+        const children = Array.from(repeater.children);
+        const template = children.find(child => child.tagName.toLowerCase() === 'template');
+        let row = null;
+        if(template) {
+            if(template.content.children.length === 1) {
+                row = template.content.firstElementChild.cloneNode(true);
+            }
+        } else {
+            const prototype = children.find(child => child.hasAttribute('data-fp-row-template'));
+            if(prototype) {
+                row = prototype.cloneNode(true);
+                row.removeAttribute('data-fp-row-template');
+                row.removeAttribute('hidden');
+            }
+        }
+        if(!row) {
+            throw new Error(`Repeater '${repeater.getAttribute('data-fp-repeater')}' needs a <template> with one root element or a [data-fp-row-template] row`);
+        }
+        row.setAttribute('data-fp-row', '');
+        return row;
+    },
+
+    /**
+     * Returns array of elements matching name first, falls back to id, then to a data-fp-repeater="key".
+     * Fields inside repeater rows belong to their row, not to container.
+     *
+     * @param {HTMLElement} container
+     * @param {string} key name or id to find
+     * @returns {unknown[]|*[]}
+     * @private
+     */
+    _findElementsByNameOrId(container, key) {
+        const index = this._indexes.get(container);
+        if(index) {
+            this._refreshIndex(container, index);
+            if(index.names.has(key)) {
+                return index.names.get(key).slice();
+            }
+            const found = index.ids.get(key) || index.repeaters.get(key);
+            return found ? [found] : [];
+        }
+
+        const escaped = this._cssEscape(key);
+        const elements = this._queryAll(container, `[name="${escaped}"]`).filter(el => this._isInScope(container, el));
+        if(elements.length > 0) {
+            return elements;
+        }
+        const byId = this._queryAll(container, `#${escaped}`).find(el => this._isInScope(container, el));
+        if(byId) {
+            return [byId];
+        }
+        const repeater = this._queryAll(container, `[data-fp-repeater="${escaped}"]`).find(el => this._isInScope(container, el));
+        return repeater ? [repeater] : [];
+    },
+
+    /**
+     * Indexes the named, id-bearing and repeater elements of container in one pass. Every later lookup in container
+     * (populate(), getValues(), setErrors()...) reads the index instead of querying the DOM. A MutationObserver marks it
+     * for rebuild when elements with name/id are added or removed or those attributes change; changes inside open
+     * shadow roots are not observed, call index() again after them.
+     *
+     * @param {HTMLElement} container
+     * @returns {{names: number, ids: number}} indexed counts
+     *
+     * @throws {Error} If container is not a valid DOM element
+     */
+    index(container) {
+        if(!container || !container.nodeType) {
+            throw new Error('Container must be a valid DOM element');
+        }
+        let index = this._indexes.get(container);
+        if(!index) {
+            index = {names: new Map(), ids: new Map(), repeaters: new Map(), stale: true, observer: null};
+            if(typeof MutationObserver !== 'undefined') {
+                index.observer = new MutationObserver(records => this._markIndex(container, index, records));
+                index.observer.observe(container, {
+                    childList: true, subtree: true, attributes: true, attributeFilter: ['name', 'id', 'data-fp-repeater']
+                });
+            }
+            this._indexes.set(container, index);
+        }
+        index.stale = true;
+        this._refreshIndex(container, index);
+        return {names: index.names.size, ids: index.ids.size};
+    },
+
+    /**
+     * Drops the index of container and stops observing it
+     *
+     * @param {HTMLElement} container
+     */
+    unindex(container) {
+        const index = this._indexes.get(container);
+        if(index) {
+            if(index.observer) {
+                index.observer.disconnect();
+            }
+            this._indexes.delete(container);
+        }
+    },
+
+    /**
+     * Rebuilds the index if marked stale, first taking pending mutation records (observer callbacks run later)
+     *
+     * @param {HTMLElement} container
+     * @param {object} index
+     * @private
+     */
+    _refreshIndex(container, index) {
+        if(index.observer) {
+            this._markIndex(container, index, index.observer.takeRecords());
+        }
+        if(!index.stale) {
+            return;
+        }
+        index.names.clear();
+        index.ids.clear();
+        index.repeaters.clear();
+        for(const element of this._queryAll(container, '[name], [id], [data-fp-repeater]')) {
+            if(!this._isInScope(container, element)) {
+                continue;
+            }
+            const name = element.getAttribute('name');
+            if(name) {
+                if(!index.names.has(name)) {
+                    index.names.set(name, []);
+                }
+                index.names.get(name).push(element);
+            }
+            // First in document order wins, like querySelector()
+            if(element.id && !index.ids.has(element.id)) {
+                index.ids.set(element.id, element);
+            }
+            const repeater = element.getAttribute('data-fp-repeater');
+            if(repeater !== null && !index.repeaters.has(repeater)) {
+                index.repeaters.set(repeater, element);
+            }
+        }
+        index.stale = false;
+    },
+
+    /**
+     * Marks the index stale for mutations that can change lookups: name/id/data-fp-repeater attributes, or added/removed
+     * elements carrying them. Content written by populate() (list items, table rows, repeater rows) keeps the index.
+     *
+     * @param {HTMLElement} container
+     * @param {object} index
+     * @param {MutationRecord[]} records
+     * @private
+     */
+    _markIndex(container, index, records) {
+        const selector = '[name], [id], [data-fp-repeater]';
+        for(const record of records) {
+            if(index.stale) {
+                return;
+            }
+            if(record.type === 'attributes') {
+                index.stale = this._isInScope(container, record.target);
+                continue;
+            }
+            if(record.target !== container && !this._isInScope(container, record.target)) {
+                continue; // repeater rows
+            }
+            for(const node of Array.from(record.addedNodes).concat(Array.from(record.removedNodes))) {
+                if(node.nodeType === 1 && (node.matches(selector) || node.querySelector(selector))) {
+                    index.stale = true;
+                    break;
+                }
+            }
+        }
+    },
+
+    /**
+     * False for elements inside a repeater row (or prototype row) that lies within container
+     *
+     * @param {HTMLElement} container
+     * @param {HTMLElement} element
+     * @returns {boolean}
+     * @private
+     */
+    _isInScope(container, element) {
+        const repeater = element.parentElement ? element.parentElement.closest('[data-fp-repeater]') : null;
+        return !repeater || repeater === container || !container.contains(repeater);
+    },
+
+    /**
+     * querySelectorAll() that also searches open shadow roots (container's own and its descendants'), light DOM first.
+     * Shadow roots of form-associated custom elements are not entered: the element itself is the control.
+     *
+     * @param {HTMLElement|ShadowRoot} container
+     * @param {string} selector
+     * @returns {HTMLElement[]}
+     * @private
+     */
+    _queryAll(container, selector) {
+        const found = Array.from(container.querySelectorAll(selector));
+        for(const host of this._findShadowHosts(container)) {
+            found.push(...this._queryAll(host.shadowRoot, selector));
+        }
+        return found;
+    },
+
+    /**
+     * Open shadow hosts to search below container (itself included), except form-associated custom elements.
+     * Inside _withShadowHosts() the subtree is scanned once per root and reused, otherwise on every call.
+     *
+     * @param {HTMLElement|ShadowRoot} container
+     * @returns {HTMLElement[]}
+     * @private
+     */
+    _findShadowHosts(container) {
+        const cache = this._shadowHosts;
+        if(cache && cache.has(container)) {
+            // Hosts removed since the scan (e.g. with a repeater row) are not searched
+            return cache.get(container).filter(host => host === container || container.contains(host));
+        }
+        const hosts = Array.from(container.querySelectorAll('*')).filter(element => element.shadowRoot);
+        if(container.shadowRoot) {
+            hosts.unshift(container);
+        }
+        const searched = hosts.filter(host => !this._isFormAssociated(host));
+        if(cache) {
+            cache.set(container, searched);
+        }
+        return searched;
+    },
+
+    /**
+     * Runs fn with shadow hosts cached per search root, so looking up many keys scans the subtree once instead of per key.
+     * Nested calls share the outer cache. Hosts added while fn runs are not seen by roots already scanned.
+     *
+     * @param {function} fn
+     * @returns {*} what fn returns
+     * @private
+     */
+    _withShadowHosts(fn) {
+        if(this._shadowHosts) {
+            return fn();
+        }
+        this._shadowHosts = new Map();
+        try {
+            return fn();
+        } finally {
+            this._shadowHosts = null;
+        }
+    },
+
+    /**
+     * True for a form-associated custom element (static formAssociated = true)
+     *
+     * @param {HTMLElement} element
+     * @returns {boolean}
+     * @private
+     */
+    _isFormAssociated(element) {
+        return element.tagName.includes('-') && !!element.constructor && element.constructor.formAssociated === true;
+    },
+
+    /**
+     * 'checkbox' or 'radio' for checkable controls: native inputs, and form-associated custom elements with a boolean
+     * checked property (radio when their type property or attribute is 'radio'), otherwise null
+     *
+     * @param {HTMLElement} element
+     * @returns {string|null}
+     * @private
+     */
+    _checkType(element) {
+        if(element.type === 'checkbox' || element.type === 'radio') {
+            return element.type;
+        }
+        if(this._isFormAssociated(element) && typeof element.checked === 'boolean') {
+            return element.getAttribute('type') === 'radio' ? 'radio' : 'checkbox';
+        }
+        return null;
+    },
+
+    /**
+     * Adds (or replaces by name) a widget adapter. Custom adapters are checked before the built-in ones:
+     * tomselect, selectize, chosen, select2, choices, flatpickr, autonumeric, locale.
+     *
+     * Adapter:
+     * - name {string} unique name
+     * - detect(element) {function} truthy if the adapter handles element
+     * - set(element, value) {function} writes a non-empty value
+     * - clear(element) {function} optional, writes null/''/[] (default: set(element, ''))
+     * - get(element) {function} optional, reads the value (default: native element value)
+     * - notify(element) {function} optional, announces a change for populate({dispatchEvents}) (default: native input and change)
+     * - type {string|function(element): string} optional, typed getValues() conversion, e.g. 'number', 'date' follows the dates option
+     * - setOptions(element, options) {function} optional, replaces the option list, keeping the selected values still listed,
+     *   options normalized to {value: string, label: string, disabled: boolean, group: string|null}
+     * - addOption(element, option) {function} optional, appends one normalized option, for populate({createMissingOptions})
+     * - getOptions(element) {function} optional, the widget's normalized option list, for restore() (default: the native options)
+     *
+     * @param {object} adapter
+     * @returns {object} the adapter
+     *
+     * @throws {Error} If adapter has no name, detect() or set()
+     */
+    registerAdapter(adapter) {
+        if(!adapter || typeof adapter.name !== 'string' || !adapter.name) {
+            throw new Error('Adapter must have a name');
+        }
+        if(typeof adapter.detect !== 'function' || typeof adapter.set !== 'function') {
+            throw new Error(`Adapter '${adapter.name}' must implement detect() and set()`);
+        }
+        const index = this._adapters.findIndex(registered => registered.name === adapter.name);
+        if(index === -1) {
+            this._adapters.unshift(adapter);
+        } else {
+            this._adapters[index] = adapter;
+        }
+        return adapter;
+    },
+
+    /**
+     * Returns the first adapter handling element, or null
+     *
+     * @param {HTMLElement} element
+     * @returns {object|null}
+     * @private
+     */
+    _findAdapter(element) {
+        for(const adapter of this._adapters) {
+            if(adapter.detect(element)) {
+                return adapter;
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Writes value through adapter, clearing for null/undefined/''/[]
+     *
+     * @param {object} adapter
+     * @param {HTMLElement} element
+     * @param value
+     * @private
+     */
+    _populateWithAdapter(adapter, element, value) {
+        if(value == null || value === '' || (Array.isArray(value) && value.length === 0)) {
+            if(adapter.clear) {
+                adapter.clear(element);
+            } else {
+                adapter.set(element, '');
+            }
+            return;
+        }
+        adapter.set(element, value);
+    },
+
+    /**
+     * Routes value to correct setter based on tag (input, select, textarea, media, content).
+     *
+     * @param {HTMLElement} element
+     * @param value
+     * @param {boolean} sanitizeHtml sets content with true: textContent, false: innerHTML
+     * @param {object|null} run - Per-call state of populate(), for repeater rows
+     * @private
+     */
+    _populateElement(element, value, sanitizeHtml = true, run = null) {
         if(value === null || value === undefined) {
             value = "";
         }
 
+        if(element.hasAttribute('data-fp-repeater')) {
+            this._populateRepeater(element, value, sanitizeHtml, run);
+            return;
+        }
+
+        if(element.hasAttribute('data-fp-format')) {
+            value = this._formatValue(value, element.getAttribute('data-fp-format'), element);
+        }
+
+        // Enhanced widgets: TomSelect, Selectize, Chosen, AutoNumeric... see registerAdapter()
+        const adapter = this._findAdapter(element);
+        if(adapter) {
+            if(!this._isSameValue(this._extractElementValue(element), value)) {
+                this._populateWithAdapter(adapter, element, value);
+            }
+            return;
+        }
+
+        // Form-associated custom elements own their value, their content is not ours to overwrite
+        if(this._isFormAssociated(element)) {
+            if(this._checkType(element) === null) {
+                element.value = value;
+            }
+            return;
+        }
+
+        if(this._isContentEditable(element)) {
+            // Rich text: HTML is kept, only scripts, handlers and javascript: URLs are removed unless sanitizeHtml is false
+            this._setHtml(element, sanitizeHtml ? this._sanitizeHtml(String(value), element.ownerDocument) : String(value));
+            return;
+        }
+
         const tagName = element.tagName.toLowerCase();
         switch(tagName) {
             case 'input':
@@ -263,33 +3762,34 @@ const FormPopulator = {
                 if(element.type === 'file') {
                     break;
                 }
-                // AutoNumeric support — detect instance and use API
-                if (typeof AutoNumeric !== 'undefined') {
-                    const an = AutoNumeric.getAutoNumericElement(element);
-                    if (an) {
-                        // AutoNumeric expects number, string, or null
-                        // It handles formatting, validation, and clearing internally
-                        if (value === null || value === undefined) {
-                            an.set(""); // proper clear
-                        } else {
-                            an.set(value); // let AutoNumeric parse and format
-                        }
-                        break;
-                    }
-                }
-                element.value = value;
+                this._populateInput(element, value);
                 break;
             case 'textarea':
-                element.value = value;
+            case 'output':
+                if(element.value !== String(value)) {
+                    element.value = value;
+                }
                 break;
             case 'select':
                 this._populateSelect(element, value);
                 break;
+            case 'progress':
+            case 'meter':
+                this._populateRange(element, value);
+                break;
+            case 'details':
+                element.open = value === true || (value !== false && value !== '' && value != 0 && value !== 'false');
+                break;
+            case 'datalist':
+                this._populateDatalist(element, value);
+                break;
             case 'img':
             case 'video':
             case 'audio':
             case 'iframe':
-                element.src = value;
+            case 'source':
+            case 'picture':
+                this._populateMedia(element, value);
                 break;
             case 'a':
                 element.href = value;
@@ -298,105 +3798,483 @@ const FormPopulator = {
             case 'ol':
                 this._populateList(element, value);
                 break;
+            case 'table':
+            case 'tbody':
+                this._populateTable(element, value);
+                break;
             default:
                 if(sanitizeHtml) {
-                    element.textContent = value;
+                    if(element.textContent !== String(value)) {
+                        element.textContent = value;
+                    }
                 } else {
-                    element.innerHTML = value;
+                    this._setHtml(element, String(value));
                 }
         }
     },
 
     /**
-     * Clears then sets select value, detecting TomSelect/Selectize/Chosen automatically.
+     * True if a value read from an element already equals value to write: strings compared, arrays item by item
      *
-     * @param {HTMLElement} element
+     * @param current
      * @param value
+     * @returns {boolean}
      * @private
      */
-    _populateSelect(element, value) {
-        // Always clear first — consistent across all implementations
-        this._clearSelect(element);
+    _isSameValue(current, value) {
+        const normalize = v => (Array.isArray(v) ? v : [v ?? '']).map(String);
+        const a = normalize(current);
+        const b = normalize(value);
+        return a.length === b.length && a.every((item, i) => item === b[i]);
+    },
 
-        // Handle null/undefined/empty → fully cleared, done
-        if(value == null || (Array.isArray(value) && value.length === 0) || value === '') {
+    /**
+     * Sets innerHTML in one write, skipped when the same html was written last and the element has not changed since
+     *
+     * @param {HTMLElement} element
+     * @param {string} html
+     * @private
+     */
+    _setHtml(element, html) {
+        const last = this._rendered.get(element);
+        if(last && last.html === html && last.serialized === element.innerHTML) {
             return;
         }
+        element.innerHTML = html;
+        this._rendered.set(element, {html, serialized: element.innerHTML});
+    },
 
-        // TomSelect support
-        if(element.tomselect) {
-            const values = Array.isArray(value) ? value : [value];
-            element.tomselect.setValue(values, true); // silent
-            element.tomselect.sync();
+    /**
+     * Sets an input's value; a Date goes to date, datetime-local, month, week and time inputs as its local date/time
+     *
+     * @param {HTMLInputElement} element
+     * @param value
+     * @private
+     */
+    _populateInput(element, value) {
+        if(value instanceof Date && ['date', 'datetime-local', 'month', 'week', 'time'].includes(element.type)) {
+            if(Number.isNaN(value.getTime())) {
+                element.value = '';
+                return;
+            }
+            // valueAsDate/valueAsNumber are read as UTC, shift so the local wall-clock time is shown
+            const shifted = value.getTime() - value.getTimezoneOffset() * 60000;
+            if(element.type === 'datetime-local') {
+                element.valueAsNumber = shifted; // no valueAsDate for datetime-local
+            } else {
+                element.valueAsDate = new Date(shifted);
+            }
             return;
         }
+        if(element.value !== String(value)) {
+            element.value = value; // unchanged values keep caret and selection
+        }
+    },
 
-        // Selectize support
-        if(element.selectize) {
-            const values = Array.isArray(value) ? value : [value];
-            element.selectize.setValue(values, true); // silent
+    /**
+     * Sets numeric value of <progress>/<meter>; empty makes a progress indeterminate (no value attribute)
+     *
+     * @param {HTMLProgressElement|HTMLMeterElement} element
+     * @param value
+     * @private
+     */
+    _populateRange(element, value) {
+        const number = Number(value);
+        if(value === '' || Number.isNaN(number)) {
+            element.removeAttribute('value');
             return;
         }
+        element.value = number;
+    },
 
-        // Chosen support — only if jQuery exists
-        if(typeof window.jQuery !== 'undefined') {
-            const $ = window.jQuery;
-            const $el = $(element);
-            if($el.data('chosen')) {
-                const val = Array.isArray(value) ? value : [value];
-                $el.val(val).trigger('chosen:updated');
-                return;
-            }
+    /**
+     * Rebuilds <datalist> suggestions from an array of values or {value, label} items
+     *
+     * @param {HTMLDataListElement} element
+     * @param value
+     * @private
+     */
+    _populateDatalist(element, value) {
+        element.textContent = '';
+        for(const item of [].concat(value === '' ? [] : value)) {
+            element.appendChild(this._createOption(this._normalizeOption(item), element.ownerDocument));
         }
+    },
 
-        // Native <select>
-        if(Array.isArray(value)) {
-            // Multiple select: select all matching options
-            for(const option of element.options) {
-                const optValue = option.value; // keep as-is (string)
-                option.selected = value.some(v => v == optValue); // loose == for real-world match
+    /**
+     * Sets media sources. A string sets src (srcset for a <source> in <picture>, the inner <img> for <picture>);
+     * an object {src, srcset, sizes, alt, sources: [{srcset, media, type}]} sets each given attribute and, with sources,
+     * replaces the <source> children of <picture>/<video>/<audio>
+     *
+     * @param {HTMLElement} element img, video, audio, iframe, source or picture
+     * @param value
+     * @private
+     */
+    _populateMedia(element, value) {
+        const tagName = element.tagName.toLowerCase();
+        const spec = this._isNestable(value) && !Array.isArray(value) ? value : {src: value};
+
+        if(tagName === 'picture') {
+            const img = element.querySelector('img');
+            if(img) {
+                this._populateMedia(img, Object.assign({}, spec, {sources: undefined}));
+            }
+        } else if(tagName === 'source') {
+            const inPicture = element.parentElement && element.parentElement.tagName.toLowerCase() === 'picture';
+            if(inPicture && spec.srcset === undefined) {
+                element.srcset = spec.src;
+            } else {
+                this._setMediaAttributes(element, spec);
+            }
+            if(element.parentElement && typeof element.parentElement.load === 'function') {
+                element.parentElement.load(); // video/audio only pick up a changed <source> on load()
             }
+            return;
         } else {
-            // Single select: find exact match (loose ==)
-            for(const option of element.options) {
-                if(value == option.value) { // no String() coercion!
-                    option.selected = true;
-                    return;
+            this._setMediaAttributes(element, spec);
+        }
+
+        if(Array.isArray(spec.sources) && ['picture', 'video', 'audio'].includes(tagName)) {
+            for(const source of Array.from(element.children).filter(child => child.tagName.toLowerCase() === 'source')) {
+                source.remove();
+            }
+            const before = tagName === 'picture' ? element.querySelector('img') : element.firstChild;
+            for(const item of spec.sources) {
+                const source = element.ownerDocument.createElement('source');
+                this._setMediaAttributes(source, typeof item === 'object' && item !== null ? item :
+                    (tagName === 'picture' ? {srcset: item} : {src: item}));
+                element.insertBefore(source, before);
+            }
+            if(typeof element.load === 'function') {
+                element.load();
+            }
+        }
+    },
+
+    /**
+     * Sets src, srcset, sizes, alt, media and type from spec where given (null removes srcset/sizes/media/type)
+     *
+     * @param {HTMLElement} element
+     * @param {object} spec
+     * @private
+     */
+    _setMediaAttributes(element, spec) {
+        if(spec.src !== undefined) {
+            element.src = spec.src ?? '';
+        }
+        for(const name of ['srcset', 'sizes', 'alt', 'media', 'type']) {
+            if(spec[name] === undefined) {
+                continue;
+            }
+            if(spec[name] === null) {
+                element.removeAttribute(name);
+            } else {
+                element.setAttribute(name, spec[name]);
+            }
+        }
+    },
+
+    /**
+     * True for an editing host: own contenteditable attribute, not "false" (children of one are populated as usual)
+     *
+     * @param {HTMLElement} element
+     * @returns {boolean}
+     * @private
+     */
+    _isContentEditable(element) {
+        const editable = element.getAttribute('contenteditable');
+        return editable !== null && editable.toLowerCase() !== 'false';
+    },
+
+    /**
+     * Removes scripts, embedded content, on* handlers and javascript:/vbscript:/non-image data: URLs from HTML
+     *
+     * @param {string} html
+     * @param {Document} ownerDocument document to parse with
+     * @returns {string}
+     * @private
+     */
+    _sanitizeHtml(html, ownerDocument) {
+        const template = ownerDocument.createElement('template');
+        template.innerHTML = html;
+        const blocked = ['script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'link', 'meta', 'base', 'form'];
+        const urlAttributes = ['href', 'src', 'srcset', 'action', 'formaction', 'xlink:href', 'poster', 'background'];
+        for(const element of Array.from(template.content.querySelectorAll('*'))) {
+            if(blocked.includes(element.tagName.toLowerCase())) {
+                element.remove();
+                continue;
+            }
+            for(const attribute of Array.from(element.attributes)) {
+                const name = attribute.name.toLowerCase();
+                const url = attribute.value.replace(/[\s\u0000-\u001f]/g, '').toLowerCase();
+                if(name.startsWith('on') || name === 'srcdoc' || (urlAttributes.includes(name) &&
+                    (/^(javascript|vbscript):/.test(url) || (url.startsWith('data:') && !/^data:image\/(?!svg)/.test(url))))) {
+                    element.removeAttribute(attribute.name);
                 }
             }
-            // If no match found → stays cleared (intentional: better than jumping to first option)
         }
+        return template.innerHTML;
     },
 
     /**
-     * Deselects all options, using library API if enhanced select detected: TomSelect, Selectize & Chosen
+     * Clears then sets native select value. Enhanced selects are handled by their adapter.
      *
      * @param {HTMLElement} element
+     * @param value
      * @private
      */
-    _clearSelect(element) {
-        // Native
-        element.selectedIndex = -1;
+    _populateSelect(element, value) {
+        // Handle null/undefined/empty → fully cleared
+        const empty = value == null || (Array.isArray(value) && value.length === 0) || value === '';
+        let matched = false;
+        const wanted = Array.from(element.options, option => {
+            if(empty) {
+                return false;
+            }
+            if(Array.isArray(value)) {
+                // Multiple select: select all matching options
+                return value.some(v => v == option.value); // loose == for real-world match
+            }
+            // Single select: first exact match (loose ==), no String() coercion!
+            if(!matched && value == option.value) {
+                matched = true;
+                return true;
+            }
+            return false;
+        });
 
-        // TomSelect
-        if(element.tomselect) {
-            element.tomselect.clear(true); // silent
-            element.tomselect.sync();
+        // Selection already as wanted: no write, no flicker
+        if(wanted.every((selected, i) => element.options[i].selected === selected)) {
             return;
         }
 
-        // Selectize
-        if(element.selectize) {
-            element.selectize.clear(true); // silent
-            return;
+        // Clear first. If no match found → stays cleared (intentional: better than jumping to first option)
+        element.selectedIndex = -1;
+        wanted.forEach((selected, i) => {
+            if(selected) {
+                element.options[i].selected = true;
+            }
+        });
+    },
+
+    /**
+     * Replaces the options of a select (native, or through its adapter's setOptions()) and keeps the selected values still listed.
+     * Items are {value, label, disabled, group} or plain values (label = value); a group builds an <optgroup>.
+     * A native select's leading placeholder option (value "") is kept unless options list the empty value.
+     *
+     * @param {HTMLSelectElement} select
+     * @param {Array<object|string|number>} options
+     *
+     * @throws {Error} If select is not a <select> or its widget has no setOptions()
+     * @throws {Error} If options is not an array
+     */
+    setSelectOptions(select, options) {
+        if(!select || !select.tagName || select.tagName.toLowerCase() !== 'select') {
+            throw new Error('setSelectOptions() needs a <select> element');
+        }
+        if(!Array.isArray(options)) {
+            throw new Error('Select options must be an array');
+        }
+        const normalized = options.map(option => this._normalizeOption(option));
+        const adapter = this._findAdapter(select);
+        if(adapter && typeof adapter.setOptions !== 'function') {
+            throw new Error(`Adapter '${adapter.name}' does not support setOptions()`);
+        }
+        if(adapter) {
+            adapter.setOptions(select, normalized);
+        } else {
+            this._setNativeOptions(select, normalized);
+        }
+    },
+
+    /**
+     * Normalizes an option item to {value, label, disabled, group}, values and labels as strings
+     *
+     * @param {object|string|number} option
+     * @returns {{value: string, label: string, disabled: boolean, group: (string|null)}}
+     * @private
+     */
+    _normalizeOption(option) {
+        if(typeof option !== 'object' || option === null) {
+            return {value: String(option ?? ''), label: String(option ?? ''), disabled: false, group: null};
+        }
+        const value = String(option.value ?? '');
+        return {
+            value,
+            label: option.label == null ? value : String(option.label),
+            disabled: option.disabled === true,
+            group: option.group == null || option.group === '' ? null : String(option.group)
+        };
+    },
+
+    /**
+     * Rebuilds a native select's <option>/<optgroup> children from normalized options, keeping selected values still listed
+     *
+     * @param {HTMLSelectElement} select
+     * @param {object[]} options normalized, see _normalizeOption()
+     * @private
+     */
+    _setNativeOptions(select, options) {
+        const selected = Array.from(select.selectedOptions || []).map(option => option.value);
+        const first = select.options[0];
+        const placeholder = first && first.value === '' && !options.some(option => option.value === '') ? first : null;
+
+        select.textContent = '';
+        if(placeholder) {
+            select.appendChild(placeholder);
+        }
+        const groups = new Map();
+        for(const option of options) {
+            let parent = select;
+            if(option.group !== null) {
+                if(!groups.has(option.group)) {
+                    const optgroup = select.ownerDocument.createElement('optgroup');
+                    optgroup.label = option.group;
+                    select.appendChild(optgroup);
+                    groups.set(option.group, optgroup);
+                }
+                parent = groups.get(option.group);
+            }
+            parent.appendChild(this._createOption(option, select.ownerDocument));
+        }
+
+        select.selectedIndex = -1;
+        for(const option of select.options) {
+            if(selected.includes(option.value)) {
+                option.selected = true;
+                if(!select.multiple) {
+                    break;
+                }
+            }
+        }
+    },
+
+    /**
+     * Creates an <option> from a normalized option, label as text (never HTML)
+     *
+     * @param {object} option normalized, see _normalizeOption()
+     * @param {Document} ownerDocument
+     * @returns {HTMLOptionElement}
+     * @private
+     */
+    _createOption(option, ownerDocument) {
+        const element = ownerDocument.createElement('option');
+        element.value = option.value;
+        element.textContent = option.label;
+        element.disabled = option.disabled;
+        return element;
+    },
+
+    /**
+     * Appends a normalized option to a native select unless its value is already listed
+     *
+     * @param {HTMLSelectElement} select
+     * @param {object} option normalized, see _normalizeOption()
+     * @private
+     */
+    _addNativeOption(select, option) {
+        if(!Array.from(select.options).some(existing => existing.value === option.value)) {
+            select.appendChild(this._createOption(option, select.ownerDocument));
+        }
+    },
+
+    /**
+     * Replaces a TomSelect/Selectize instance's options and optgroups, keeping the selected values still listed (silent)
+     *
+     * @param {object} widget TomSelect or Selectize instance
+     * @param {object[]} options normalized, see _normalizeOption()
+     * @private
+     */
+    _setWidgetOptions(widget, options) {
+        const selected = [].concat(widget.getValue() || []).filter(value => value !== '');
+        const settings = widget.settings;
+        widget.clear(true); // silent, so clearOptions() drops the selected options too
+        widget.clearOptions();
+        widget.clearOptionGroups();
+        for(const option of options) {
+            if(option.group !== null && !widget.optgroups[option.group]) {
+                widget.addOptionGroup(option.group, {[settings.optgroupValueField]: option.group, [settings.optgroupLabelField]: option.group});
+            }
+            widget.addOption(this._widgetOption(widget, option));
+        }
+        widget.refreshOptions(false);
+        const kept = selected.filter(value => options.some(option => option.value === String(value)));
+        if(kept.length > 0) {
+            widget.setValue(kept, true); // silent
+        }
+    },
+
+    /**
+     * Reads a TomSelect/Selectize instance's own option list, in its order, as normalized options
+     *
+     * @param {object} widget TomSelect or Selectize instance
+     * @returns {object[]} normalized, see _normalizeOption()
+     * @private
+     */
+    _getWidgetOptions(widget) {
+        const settings = widget.settings;
+        return Object.values(widget.options)
+            .sort((a, b) => (a.$order || 0) - (b.$order || 0))
+            .map(option => this._normalizeOption({
+                value: option[settings.valueField],
+                label: option[settings.labelField],
+                disabled: option[settings.disabledField || 'disabled'] === true,
+                group: option[settings.optgroupField]
+            }));
+    },
+
+    /**
+     * Adds a normalized option to a TomSelect/Selectize instance (ignored when its value exists)
+     *
+     * @param {object} widget TomSelect or Selectize instance
+     * @param {object} option normalized, see _normalizeOption()
+     * @private
+     */
+    _addWidgetOption(widget, option) {
+        if(!widget.options[option.value]) {
+            widget.addOption(this._widgetOption(widget, option));
+            widget.refreshOptions(false);
+        }
+    },
+
+    /**
+     * Maps a normalized option to a TomSelect/Selectize option object using the instance's field names
+     *
+     * @param {object} widget TomSelect or Selectize instance
+     * @param {object} option normalized, see _normalizeOption()
+     * @returns {object}
+     * @private
+     */
+    _widgetOption(widget, option) {
+        const settings = widget.settings;
+        const mapped = {[settings.valueField]: option.value, [settings.labelField]: option.label};
+        if(option.disabled) {
+            mapped[settings.disabledField || 'disabled'] = true;
+        }
+        if(option.group !== null) {
+            mapped[settings.optgroupField] = option.group;
         }
+        return mapped;
+    },
 
-        // Chosen
-        if(typeof window.jQuery !== 'undefined') {
-            const $ = window.jQuery;
-            const $el = $(element);
-            if($el.data('chosen')) {
-                $el.val(null).trigger('chosen:updated');
+    /**
+     * Adds an option (label = value) for each value not yet listed, for populate({createMissingOptions})
+     *
+     * @param {HTMLSelectElement} select
+     * @param {*} value value or array of values about to be populated
+     * @private
+     */
+    _addMissingOptions(select, value) {
+        const adapter = this._findAdapter(select);
+        for(const item of [].concat(value ?? [])) {
+            if(item === '' || item === null || typeof item === 'object') {
+                continue;
+            }
+            const option = this._normalizeOption(item);
+            if(!adapter) {
+                this._addNativeOption(select, option);
+            } else if(typeof adapter.addOption === 'function') {
+                adapter.addOption(select, option);
             }
         }
     },
@@ -410,19 +4288,19 @@ const FormPopulator = {
      */
     _populateList(element, value) {
         if(!Array.isArray(value)) {
-            element.innerHTML = this._escapeHtml(value);
+            this._setHtml(element, this._escapeHtml(value));
             return;
         }
 
         const tagName = element.tagName.toLowerCase();
-        element.innerHTML = value.map(item => {
+        this._setHtml(element, value.map(item => {
             if(Array.isArray(item)) {
                 const subItems = this._buildNestedListHtml(item, tagName);
                 return `<li><${tagName}>${subItems}</${tagName}></li>`;
             } else {
                 return `<li>${this._escapeHtml(item)}</li>`;
             }
-        }).join('');
+        }).join(''));
     },
 
     /**
@@ -444,6 +4322,116 @@ const FormPopulator = {
         }).join('');
     },
 
+    /**
+     * Renders rows into a <table> (its first <tbody>, created if missing) or <tbody>, replacing existing rows.
+     * Arrays fill cells in order; objects fill the columns of the <th data-fp-key="path"> headers (a header's
+     * data-fp-format applies to its column), or their own keys without such headers. Cell content is always escaped.
+     *
+     * @param {HTMLElement} element <table> or <tbody>
+     * @param {Array} value array of arrays or array of objects, '' clears
+     * @private
+     *
+     * @throws {Error} If value is not an array
+     */
+    _populateTable(element, value) {
+        if(value === '') {
+            value = [];
+        }
+        if(!Array.isArray(value)) {
+            throw new Error('Table value must be an array of rows');
+        }
+        const body = this._tableBody(element, true);
+        const columns = this._tableColumns(element);
+        const objectKeys = columns.some(column => column.key !== null) ? null :
+            Object.keys(value.find(row => this._isNestable(row) && !Array.isArray(row)) || {});
+
+        this._setHtml(body, value.map(row => {
+            let cells;
+            if(Array.isArray(row)) {
+                cells = row.map(cell => [cell, null]);
+            } else if(this._isNestable(row)) {
+                cells = objectKeys ? objectKeys.map(key => [row[key], null]) : columns.map(column => [
+                    column.key === null ? '' : this._resolvePath(row, column.key).value,
+                    column.format ? column.header : null
+                ]);
+            } else {
+                cells = [[row, null]];
+            }
+            return '<tr>' + cells.map(([cell, header]) => {
+                const text = header ? this._formatValue(cell ?? '', header.getAttribute('data-fp-format'), header) : (cell ?? '');
+                return `<td>${this._escapeHtml(text)}</td>`;
+            }).join('') + '</tr>';
+        }).join(''));
+    },
+
+    /**
+     * Reads a <table>'s first <tbody> (or a <tbody>) back as an array of objects keyed by the <th data-fp-key>
+     * headers (headers without one are skipped), or as an array of arrays of cell texts without such headers
+     *
+     * @param {HTMLElement} element <table> or <tbody>
+     * @returns {Array}
+     * @private
+     */
+    _extractTable(element) {
+        const body = this._tableBody(element, false);
+        if(!body) {
+            return [];
+        }
+        const columns = this._tableColumns(element);
+        const keyed = columns.some(column => column.key !== null);
+        return Array.from(body.rows).map(row => {
+            const texts = Array.from(row.cells).map(cell => cell.textContent);
+            if(!keyed) {
+                return texts;
+            }
+            const item = {};
+            columns.forEach((column, index) => {
+                if(column.key !== null) {
+                    this._assignPath(item, this._nameToPath(column.key), texts[index] ?? '');
+                }
+            });
+            return item;
+        });
+    },
+
+    /**
+     * Returns the tbody rows go to: element itself for a <tbody>, the first tBody of a <table> (created if create)
+     *
+     * @param {HTMLElement} element <table> or <tbody>
+     * @param {boolean} create
+     * @returns {HTMLElement|null}
+     * @private
+     */
+    _tableBody(element, create) {
+        if(element.tagName.toLowerCase() === 'tbody') {
+            return element;
+        }
+        if(element.tBodies.length > 0) {
+            return element.tBodies[0];
+        }
+        return create ? element.createTBody() : null;
+    },
+
+    /**
+     * Columns from the last header row of the table's <thead>: {key: data-fp-key or null, header, format}
+     *
+     * @param {HTMLElement} element <table> or <tbody>
+     * @returns {{key: (string|null), header: HTMLElement, format: boolean}[]}
+     * @private
+     */
+    _tableColumns(element) {
+        const table = element.tagName.toLowerCase() === 'table' ? element : element.closest('table');
+        const head = table ? table.tHead : null;
+        if(!head || head.rows.length === 0) {
+            return [];
+        }
+        return Array.from(head.rows[head.rows.length - 1].cells).map(header => ({
+            key: header.hasAttribute('data-fp-key') ? header.getAttribute('data-fp-key').trim() : null,
+            header,
+            format: header.hasAttribute('data-fp-format')
+        }));
+    },
+
     /**
      * Routes to correct getter based on tag and returns the value.
      *
@@ -452,14 +4440,50 @@ const FormPopulator = {
      * @private
      */
     _extractElementValue(element) {
+        if(element.hasAttribute('data-fp-repeater')) {
+            return this._extractRepeater(element, null);
+        }
+
+        const adapter = this._findAdapter(element);
+        if(adapter && adapter.get) {
+            return adapter.get(element);
+        }
+
+        if(this._isFormAssociated(element)) {
+            if(this._checkType(element) !== null) {
+                return element.checked ? element.value : "";
+            }
+            return element.value ?? "";
+        }
+
+        if(this._isContentEditable(element)) {
+            return this._sanitizeHtml(element.innerHTML, element.ownerDocument);
+        }
+
         const tagName = element.tagName.toLowerCase();
         switch(tagName) {
             case 'input':
                 return this._extractInputValue(element);
             case 'textarea':
+            case 'output':
                 return element.value;
             case 'select':
                 return this._extractSelectValue(element);
+            case 'progress':
+                // No value attribute: indeterminate
+                return element.hasAttribute('value') ? element.value : "";
+            case 'meter':
+                return element.value;
+            case 'details':
+                return element.open;
+            case 'datalist':
+                return Array.from(element.options).map(option => option.value);
+            case 'picture': {
+                const img = element.querySelector('img');
+                return img ? img.currentSrc || img.src || "" : "";
+            }
+            case 'source':
+                return element.getAttribute('srcset') || element.src || "";
             case 'img':
             case 'video':
             case 'audio':
@@ -467,16 +4491,19 @@ const FormPopulator = {
                 return element.src || "";
             case 'a':
                 return element.href || "";
+            case 'table':
+            case 'tbody':
+                return this._extractTable(element);
             default:
                 return element.textContent || element.innerHTML;
         }
     },
 
     /**
-     * Returns input value, handling checkbox/radio checked state and AutoNumeric.
+     * Returns input value, handling checkbox/radio checked state and file inputs (selected File objects).
      *
      * @param {HTMLElement} element
-     * @returns {string|*|string}
+     * @returns {string|File[]}
      * @private
      */
     _extractInputValue(element) {
@@ -485,15 +4512,10 @@ const FormPopulator = {
             case 'checkbox':
             case 'radio':
                 return element.checked ? element.value : "";
+            case 'file':
+                // The selected File objects, value would only be a fake path
+                return Array.from(element.files || []);
             default:
-                // AutoNumeric: return clean numeric string (or "" if empty)
-                if (typeof AutoNumeric !== 'undefined') {
-                    const an = AutoNumeric.getAutoNumericElement(element);
-                    if (an) {
-                        const raw = an.getNumericString();
-                        return raw === null ? "" : raw;
-                    }
-                }
                 return element.value || "";
         }
     },
@@ -568,9 +4590,45 @@ const FormPopulator = {
      * @private
      */
     _escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = (text === null || text === undefined) ? '' : text;
-        return div.innerHTML;
+        // Same output as a text node's innerHTML, without needing a document
+        return String((text === null || text === undefined) ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/\u00a0/g, '&nbsp;');
+    },
+
+    /**
+     * CSS.escape(), or the same escaping per CSSOM where CSS is not available (Node)
+     *
+     * @param {string} value
+     * @returns {string}
+     * @private
+     */
+    _cssEscape(value) {
+        if(typeof CSS !== 'undefined' && typeof CSS.escape === 'function') {
+            return CSS.escape(value);
+        }
+        const string = String(value);
+        let result = '';
+        for(let i = 0; i < string.length; i++) {
+            const code = string.charCodeAt(i);
+            const char = string.charAt(i);
+            if(code === 0) {
+                result += '\uFFFD';
+            } else if((code >= 0x1 && code <= 0x1f) || code === 0x7f || (i === 0 && code >= 0x30 && code <= 0x39) ||
+                (i === 1 && code >= 0x30 && code <= 0x39 && string.charCodeAt(0) === 0x2d)) {
+                result += '\\' + code.toString(16) + ' ';
+            } else if(i === 0 && string.length === 1 && code === 0x2d) {
+                result += '\\' + char;
+            } else if(code >= 0x80 || code === 0x2d || code === 0x5f || (code >= 0x30 && code <= 0x39) ||
+                (code >= 0x41 && code <= 0x5a) || (code >= 0x61 && code <= 0x7a)) {
+                result += char;
+            } else {
+                result += '\\' + char;
+            }
+        }
+        return result;
     }
 };
 